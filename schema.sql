@@ -35,6 +35,7 @@ CREATE TABLE users (
     avatar_url TEXT,
     skills TEXT[], -- e.g., ['billing', 'technical', 'spanish']
     max_tickets INTEGER DEFAULT 10, -- for load balancing
+    current_ticket_count INTEGER NOT NULL DEFAULT 0, -- open/pending tickets assigned (maintained by trigger)
     is_active BOOLEAN DEFAULT true,
     last_seen_at TIMESTAMP WITH TIME ZONE,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
@@ -92,6 +93,9 @@ CREATE TABLE tickets (
     category VARCHAR(100), -- billing, technical, feature_request, bug, general
     priority VARCHAR(20) DEFAULT 'medium', -- low, medium, high, urgent
     language VARCHAR(10) DEFAULT 'en',
+    translated_subject TEXT, -- subject in the tenant's working language
+    translated_body TEXT, -- body in the tenant's working language
+    translated_language VARCHAR(10),
     
     -- Status & Assignment
     status VARCHAR(50) DEFAULT 'open', -- open, pending, resolved, closed, spam
@@ -110,7 +114,13 @@ CREATE TABLE tickets (
     
     -- AI confidence scores
     ai_confidence DECIMAL(4,3), -- 0.0 to 1.0
-    ai_processed BOOLEAN DEFAULT false
+    ai_processed BOOLEAN DEFAULT false,
+    ai_status VARCHAR(20) DEFAULT 'pending', -- pending, completed, failed
+    ai_error TEXT, -- reason for the last failed classification
+    ai_attempts INTEGER DEFAULT 0,
+    needs_triage BOOLEAN DEFAULT false, -- AI labels below confidence thresholds await review
+    intent VARCHAR(50), -- refund_request, password_reset, cancel_subscription, shipping_status, upgrade_plan, other
+    merged_into UUID REFERENCES tickets(id) ON DELETE SET NULL -- surviving ticket after a merge
 );
 
 -- Ticket history (audit log)
@@ -140,6 +150,8 @@ CREATE TABLE ticket_messages (
     body TEXT NOT NULL,
     body_html TEXT,
     is_internal BOOLEAN DEFAULT false, -- internal notes
+    language VARCHAR(10), -- language of body
+    translated_body TEXT, -- inbound: working-language translation; outbound: agent's original
     
     -- Metadata
     message_id VARCHAR(255), -- email Message-ID header
@@ -149,6 +161,30 @@ CREATE TABLE ticket_messages (
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Entities extracted from tickets and customer messages (order IDs, ...)
+CREATE TABLE ticket_entities (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    ticket_id UUID NOT NULL REFERENCES tickets(id) ON DELETE CASCADE,
+    entity_type VARCHAR(30) NOT NULL, -- order_id, account_number, email, phone, product, date
+    value VARCHAR(255) NOT NULL, -- as written by the customer
+    normalized_value VARCHAR(255) NOT NULL, -- used for search and linking
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(ticket_id, entity_type, normalized_value)
+);
+
+-- Links between related tickets
+CREATE TABLE ticket_links (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    ticket_id UUID NOT NULL REFERENCES tickets(id) ON DELETE CASCADE,
+    linked_ticket_id UUID NOT NULL REFERENCES tickets(id) ON DELETE CASCADE,
+    link_type VARCHAR(30) NOT NULL, -- same_order, duplicate, merged
+    metadata JSONB DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(ticket_id, linked_ticket_id, link_type)
+);
+
 -- ============================================
 -- AI/ML TABLES
 -- ============================================
@@ -169,13 +205,31 @@ CREATE TABLE classifications (
     sentiment_confidence DECIMAL(4,3),
     sentiment_score DECIMAL(4,3),
     
+    -- Combined analysis output
+    summary TEXT,
+    intent VARCHAR(100),
+    
     -- Model info
     model_version VARCHAR(50),
     processing_time_ms INTEGER,
+    analysis_mode VARCHAR(20) DEFAULT 'classify', -- classify (single task) or combined (analyzeTicket)
+    prompt_tokens INTEGER,
+    completion_tokens INTEGER,
+    tokens_used INTEGER,
+    
+    -- Confidence gating
+    applied_fields TEXT[], -- labels written to the ticket (category, priority, sentiment)
+    review_status VARCHAR(20) DEFAULT 'applied', -- applied, pending, accepted, rejected, superseded
+    reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMP WITH TIME ZONE,
     
     -- Feedback
     was_correct BOOLEAN, -- user feedback
     corrected_category VARCHAR(100),
+    priority_was_correct BOOLEAN,
+    corrected_priority VARCHAR(20),
+    corrected_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    corrected_at TIMESTAMP WITH TIME ZONE,
     
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -202,6 +256,52 @@ CREATE TABLE sentiment_scores (
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- AI usage (one row per provider call, for cost reporting and budgets)
+CREATE TABLE ai_usage (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    ticket_id UUID REFERENCES tickets(id) ON DELETE SET NULL,
+    
+    feature VARCHAR(50) NOT NULL, -- AI task: analyze, classify, sentiment, translate, reply, ...
+    provider VARCHAR(50),
+    model VARCHAR(100),
+    
+    prompt_tokens INTEGER DEFAULT 0,
+    completion_tokens INTEGER DEFAULT 0,
+    total_tokens INTEGER DEFAULT 0,
+    cost_usd DECIMAL(12,6) DEFAULT 0, -- estimated from list prices
+    
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Email filter log (inbound mail dropped or marked as spam, for review and release)
+CREATE TABLE email_filter_log (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    
+    message_id VARCHAR(255),
+    from_email VARCHAR(255),
+    subject VARCHAR(500),
+    
+    -- Decision
+    action VARCHAR(20) NOT NULL, -- dropped (no ticket), marked (ticket with status spam)
+    layer VARCHAR(20), -- headers, blocklist, ai
+    category VARCHAR(50), -- auto_responder, bounce, bulk, blocklist, spam
+    reason TEXT,
+    score DECIMAL(4,3), -- AI spam score
+    
+    ticket_id UUID REFERENCES tickets(id) ON DELETE SET NULL,
+    reply_to_ticket_id UUID REFERENCES tickets(id) ON DELETE SET NULL,
+    email JSONB NOT NULL, -- parsed email, used to create the ticket on release
+    
+    -- Review
+    status VARCHAR(20) DEFAULT 'quarantined', -- quarantined, released
+    released_by UUID REFERENCES users(id),
+    released_at TIMESTAMP WITH TIME ZONE,
+    
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- Response suggestions (AI generated responses)
 CREATE TABLE response_suggestions (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -223,6 +323,32 @@ CREATE TABLE response_suggestions (
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Taxonomy entries (tenant-defined categories, priorities, sentiments)
+CREATE TABLE taxonomy_entries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    
+    kind VARCHAR(20) NOT NULL, -- category, priority, sentiment
+    key VARCHAR(100) NOT NULL, -- e.g., billing/refunds (parent key + slug)
+    parent_id UUID REFERENCES taxonomy_entries(id) ON DELETE CASCADE,
+    
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    examples TEXT[], -- example tickets injected into the classification prompt
+    
+    -- Routing
+    team_id UUID REFERENCES teams(id) ON DELETE SET NULL,
+    
+    -- Settings
+    is_active BOOLEAN DEFAULT true,
+    sort_order INTEGER DEFAULT 0,
+    
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    
+    UNIQUE(tenant_id, kind, key)
+);
+
 -- Routing rules
 CREATE TABLE routing_rules (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -248,6 +374,31 @@ CREATE TABLE routing_rules (
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Routing decisions (audit trail of every routing run and how it was decided)
+CREATE TABLE routing_decisions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    ticket_id UUID NOT NULL REFERENCES tickets(id) ON DELETE CASCADE,
+    
+    source VARCHAR(30) NOT NULL, -- manual_assign, auto
+    triggered_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    
+    -- Outcome
+    rule_id UUID REFERENCES routing_rules(id) ON DELETE SET NULL,
+    assigned_team UUID REFERENCES teams(id) ON DELETE SET NULL,
+    assigned_to UUID REFERENCES users(id) ON DELETE SET NULL,
+    set_priority VARCHAR(20),
+    add_tags TEXT[],
+    reason TEXT,
+    confidence DECIMAL(4,3),
+    applied BOOLEAN DEFAULT true, -- false when only suggested
+    
+    -- Steps: rule evaluations, category lookup, agent scores, escalation, load balancing
+    trace JSONB DEFAULT '[]',
+    
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- ============================================
 -- ANALYTICS TABLES
 -- ============================================
@@ -391,6 +542,9 @@ CREATE INDEX idx_tickets_category ON tickets(category);
 CREATE INDEX idx_tickets_priority ON tickets(priority);
 CREATE INDEX idx_tickets_sentiment ON tickets(sentiment);
 CREATE INDEX idx_tickets_customer_email ON tickets(customer_email);
+CREATE INDEX idx_tickets_ai_status ON tickets(ai_status);
+CREATE INDEX idx_tickets_intent ON tickets(tenant_id, intent);
+CREATE INDEX idx_tickets_needs_triage ON tickets(tenant_id, created_at) WHERE needs_triage = true;
 
 -- Ticket history indexes
 CREATE INDEX idx_ticket_history_ticket ON ticket_history(ticket_id);
@@ -400,6 +554,30 @@ CREATE INDEX idx_ticket_history_created ON ticket_history(created_at);
 CREATE INDEX idx_ticket_messages_ticket ON ticket_messages(ticket_id);
 CREATE INDEX idx_ticket_messages_created ON ticket_messages(created_at);
 
+-- Entity indexes
+CREATE INDEX idx_ticket_entities_lookup ON ticket_entities(tenant_id, entity_type, normalized_value);
+CREATE INDEX idx_ticket_links_ticket ON ticket_links(ticket_id);
+CREATE INDEX idx_ticket_links_linked ON ticket_links(linked_ticket_id);
+
+-- Sentiment indexes
+CREATE INDEX idx_sentiment_scores_ticket ON sentiment_scores(ticket_id, created_at);
+
+-- Classification indexes
+CREATE INDEX idx_classifications_ticket ON classifications(ticket_id, created_at);
+CREATE INDEX idx_classifications_pending ON classifications(ticket_id) WHERE review_status = 'pending';
+
+-- AI usage indexes
+CREATE INDEX idx_ai_usage_tenant_created ON ai_usage(tenant_id, created_at);
+
+-- Email filter indexes
+CREATE INDEX idx_email_filter_log_tenant ON email_filter_log(tenant_id, status, created_at);
+
+-- Routing decision indexes
+CREATE INDEX idx_routing_decisions_ticket ON routing_decisions(ticket_id, created_at);
+
+-- Taxonomy indexes
+CREATE INDEX idx_taxonomy_entries_tenant_kind ON taxonomy_entries(tenant_id, kind);
+
 -- Analytics indexes
 CREATE INDEX idx_daily_metrics_tenant_date ON daily_metrics(tenant_id, date);
 CREATE INDEX idx_agent_metrics_tenant_date ON agent_metrics(tenant_id, date);
@@ -431,6 +609,9 @@ CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users
 CREATE TRIGGER update_tickets_updated_at BEFORE UPDATE ON tickets
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_taxonomy_entries_updated_at BEFORE UPDATE ON taxonomy_entries
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 CREATE TRIGGER update_routing_rules_updated_at BEFORE UPDATE ON routing_rules
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
@@ -497,3 +678,73 @@ $$ language 'plpgsql';
 
 CREATE TRIGGER ticket_change_trigger AFTER INSERT OR UPDATE ON tickets
     FOR EACH ROW EXECUTE FUNCTION log_ticket_change();
+
+-- Agent open-ticket counts for load balancing
+-- A ticket counts against its assignee while it is open or pending
+CREATE OR REPLACE FUNCTION sync_agent_ticket_count()
+RETURNS TRIGGER AS $$
+DECLARE
+    old_counts BOOLEAN := false;
+    new_counts BOOLEAN := false;
+BEGIN
+    IF TG_OP IN ('UPDATE', 'DELETE') THEN
+        old_counts := OLD.assigned_to IS NOT NULL AND OLD.status IN ('open', 'pending');
+    END IF;
+    IF TG_OP IN ('INSERT', 'UPDATE') THEN
+        new_counts := NEW.assigned_to IS NOT NULL AND NEW.status IN ('open', 'pending');
+    END IF;
+
+    IF old_counts AND (NOT new_counts OR OLD.assigned_to IS DISTINCT FROM NEW.assigned_to) THEN
+        UPDATE users SET current_ticket_count = GREATEST(current_ticket_count - 1, 0)
+        WHERE id = OLD.assigned_to;
+    END IF;
+
+    IF new_counts AND (NOT old_counts OR OLD.assigned_to IS DISTINCT FROM NEW.assigned_to) THEN
+        UPDATE users SET current_ticket_count = current_ticket_count + 1
+        WHERE id = NEW.assigned_to;
+    END IF;
+
+    RETURN NULL;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER ticket_agent_count_trigger AFTER INSERT OR UPDATE OF assigned_to, status OR DELETE ON tickets
+    FOR EACH ROW EXECUTE FUNCTION sync_agent_ticket_count();
+
+-- Existing databases: count tickets assigned before the trigger existed
+UPDATE users u
+SET current_ticket_count = (
+    SELECT COUNT(*)
+    FROM tickets t
+    WHERE t.assigned_to = u.id
+      AND t.status IN ('open', 'pending')
+);
+
+-- AI usage totals per feature and model for a period, aggregated in the
+-- database so budgets and reports do not depend on fetching every row
+CREATE OR REPLACE FUNCTION ai_usage_summary(p_tenant_id UUID, p_start TIMESTAMP WITH TIME ZONE, p_end TIMESTAMP WITH TIME ZONE)
+RETURNS TABLE (
+    feature VARCHAR(50),
+    provider VARCHAR(50),
+    model VARCHAR(100),
+    requests BIGINT,
+    prompt_tokens BIGINT,
+    completion_tokens BIGINT,
+    total_tokens BIGINT,
+    cost_usd DECIMAL
+) AS $$
+    SELECT
+        u.feature,
+        u.provider,
+        u.model,
+        COUNT(*),
+        COALESCE(SUM(u.prompt_tokens), 0),
+        COALESCE(SUM(u.completion_tokens), 0),
+        COALESCE(SUM(u.total_tokens), 0),
+        COALESCE(SUM(u.cost_usd), 0)
+    FROM ai_usage u
+    WHERE u.tenant_id = p_tenant_id
+      AND u.created_at >= p_start
+      AND u.created_at < p_end
+    GROUP BY u.feature, u.provider, u.model;
+$$ language 'sql' STABLE;
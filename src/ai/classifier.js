@@ -1,185 +1,451 @@
-const OpenAI = require('openai');
-
-// Initialize AI client based on available API keys
-const getAIClient = () => {
-  // Prefer Kimi if key is available (better for international/Chinese support)
-  if (process.env.KIMI_API_KEY) {
-    return new OpenAI({
-      apiKey: process.env.KIMI_API_KEY,
-      baseURL: process.env.KIMI_BASE_URL || 'https://api.moonshot.cn/v1'
-    });
-  }
-  
-  // Fallback to OpenAI
-  return new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY
-  });
-};
+const providers = require('./providers');
+const { DEFAULT_TAXONOMY, buildTaxonomyPrompt, resolveLabel } = require('./taxonomy');
+const fewShot = require('./few-shot');
+const { normalizeLanguage, getWorkingLanguage } = require('./translator');
+const promptSafety = require('./prompt-safety');
+const { completeJson } = require('./structured-output');
+const schemas = require('./schemas');
+const { ENTITY_TYPES } = require('./entities');
+const { buildIntentsPrompt, normalizeIntent } = require('./intents');
 
-const aiClient = getAIClient();
+// Default label sets (tenants may replace them, see ./taxonomy)
+const CATEGORIES = DEFAULT_TAXONOMY.categories.map(entry => entry.key);
+const PRIORITIES = DEFAULT_TAXONOMY.priorities.map(entry => entry.key);
+const SENTIMENTS = DEFAULT_TAXONOMY.sentiments.map(entry => entry.key);
 
-// Model selection
-const getModel = () => {
-  if (process.env.KIMI_API_KEY) {
-    return process.env.KIMI_MODEL || 'moonshot-v1-8k';
-  }
-  return process.env.OPENAI_MODEL || 'gpt-4';
-};
-
-const MODEL = getModel();
+// HTTP statuses from the provider that are worth retrying
+const RETRYABLE_STATUSES = [408, 409, 429, 500, 502, 503, 504];
 
-// Category definitions
-const CATEGORIES = [
-  'billing',
-  'technical',
-  'feature_request',
-  'bug',
-  'account',
-  'general'
-];
+// JSON shape shared by classify() and analyzeTicket(), without the closing brace
+const CLASSIFICATION_FORMAT = `{
+  "category": "string",
+  "priority": "string",
+  "sentiment": {
+    "label": "string",
+    "score": number
+  },
+  "confidence": {
+    "category": number,
+    "priority": number,
+    "sentiment": number
+  },
+  "intent": "string",
+  "reasoning": "string"`;
 
-// Priority definitions
-const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+/**
+ * Raised when a ticket could not be classified. Callers must not treat this
+ * as a low-confidence result: nothing should be written to the ticket.
+ */
+class ClassificationError extends Error {
+  constructor(message, { cause, provider, model, retryable = false } = {}) {
+    super(message);
+    this.name = 'ClassificationError';
+    this.statusCode = 502;
+    this.cause = cause;
+    this.provider = provider;
+    this.model = model;
+    this.retryable = retryable;
+  }
+}
 
-// Sentiment definitions
-const SENTIMENTS = ['positive', 'neutral', 'negative', 'very_negative'];
+/**
+ * Check if a provider failure is transient
+ * @param {Error} error - Error thrown by the provider call
+ * @returns {boolean}
+ */
+function isRetryableProviderError(error) {
+  // Network failures and unparseable output carry no HTTP status
+  if (!error.status) return true;
+  return RETRYABLE_STATUSES.includes(error.status);
+}
 
 /**
- * Classify a ticket using AI (OpenAI or Kimi)
+ * Classify a ticket using the tenant's AI provider
  * @param {Object} ticket - Ticket data
  * @param {string} ticket.subject - Ticket subject
  * @param {string} ticket.body - Ticket body
+ * @param {Object} [options] - Options
+ * @param {Object} [options.settings] - Tenant settings (selects provider/model)
+ * @param {Object} [options.meter] - Usage meter (see usage.createMeter)
+ * @param {Object} [options.cache] - Response cache for duplicate content (see responseCache.createCache)
+ * @param {Object} [options.taxonomy] - Tenant taxonomy from loadTaxonomy()
+ * @param {Array} [options.examplePool] - Verified tickets from fewShot.getExamplePool()
  * @returns {Object} Classification results
+ * @throws {ClassificationError} When the provider call or its output fails
  */
-async function classify(ticket) {
+async function classify(ticket, options = {}) {
   const startTime = Date.now();
-  const provider = process.env.KIMI_API_KEY ? 'kimi' : 'openai';
+  // Resolved inside the try: a misconfigured provider is a ClassificationError too
+  let provider;
+  let model;
+  const context = prepareClassification(ticket, options);
   
   const prompt = `Analyze the following customer support ticket and provide:
-1. Category (choose from: ${CATEGORIES.join(', ')})
-2. Priority (choose from: ${PRIORITIES.join(', ')})
-3. Sentiment (choose from: ${SENTIMENTS.join(', ')})
+1. Category (one key from the categories below)
+2. Priority (one key from the priorities below)
+3. Sentiment (one key from the sentiments below)
 4. Sentiment score (number between -1.0 and 1.0)
 5. Confidence scores for each prediction (0.0 to 1.0)
+6. Intent (one key from the intents below)
 
-Ticket Subject: ${ticket.subject}
-Ticket Body: ${ticket.body}
+${buildTaxonomyPrompt(context.taxonomy)}
+${buildIntentsPrompt()}
+${context.examplesPrompt ? `\n${context.examplesPrompt}\n` : ''}
+${buildTicketPrompt(ticket)}
 
 Respond in JSON format:
-{
-  "category": "string",
-  "priority": "string",
-  "sentiment": {
-    "label": "string",
-    "score": number
+${CLASSIFICATION_FORMAT}
+}`;
+
+  try {
+    ({ provider, model } = providers.describeProvider(options.settings, 'classify'));
+
+    const response = await completeCached(ticket, options, { provider, model, taxonomy: context.taxonomy }, {
+      task: 'classify',
+      schema: schemas.classificationResponseSchema,
+      settings: options.settings,
+      meter: options.meter,
+      messages: [
+        {
+          role: 'system',
+          content: `You are an AI assistant that classifies customer support tickets. Be accurate and provide confidence scores. ${promptSafety.UNTRUSTED_DATA_INSTRUCTION}`
+        },
+        {
+          role: 'user',
+          content: prompt
+        }
+      ],
+      temperature: 0.3
+    });
+
+    return buildClassification(response.data, response, context, startTime);
+  } catch (error) {
+    console.error('Classification error:', error);
+
+    throw new ClassificationError(`Classification failed: ${error.message}`, {
+      cause: error,
+      provider,
+      model,
+      // Retrying cannot fix the tenant's provider settings
+      retryable: provider !== undefined && isRetryableProviderError(error)
+    });
+  }
+}
+
+/**
+ * Analyze a ticket in one request: classification, detailed sentiment,
+ * language, entities, summary and intent. Used on ingestion so the body is
+ * sent once instead of once per task.
+ * @param {Object} ticket - Ticket data
+ * @param {string} ticket.subject - Ticket subject
+ * @param {string} ticket.body - Ticket body
+ * @param {Object} [options] - Same options as classify()
+ * @returns {Object} { classification, sentiment, language, entities, summary, intent, usage }
+ * @throws {ClassificationError} When the provider call or its output fails
+ */
+async function analyzeTicket(ticket, options = {}) {
+  const startTime = Date.now();
+  // Resolved inside the try: a misconfigured provider is a ClassificationError too
+  let provider;
+  let model;
+  const context = prepareClassification(ticket, options);
+
+  const prompt = `Analyze the following customer support ticket and provide:
+1. Category, priority and sentiment (one key each from the lists below), with a sentiment score (-1.0 to 1.0) and confidence scores (0.0 to 1.0)
+2. Sentiment magnitude (0.0 to 1.0) and emotion breakdown (joy, anger, sadness, fear, disgust), each 0.0 to 1.0
+3. Language of the ticket (ISO 639-1 code)
+4. Entities: order IDs, account numbers, email addresses, phone numbers, product names, dates
+5. A one-sentence summary for agents, in the language with ISO 639-1 code "${getWorkingLanguage(options.settings)}"
+6. The customer's intent (one key from the intents below)
+
+${buildTaxonomyPrompt(context.taxonomy)}
+${buildIntentsPrompt()}
+${context.examplesPrompt ? `\n${context.examplesPrompt}\n` : ''}
+${buildTicketPrompt(ticket)}
+
+Respond in JSON format:
+${CLASSIFICATION_FORMAT},
+  "magnitude": number,
+  "emotions": {
+    "joy": number,
+    "anger": number,
+    "sadness": number,
+    "fear": number,
+    "disgust": number
   },
-  "confidence": {
-    "category": number,
-    "priority": number,
-    "sentiment": number
+  "language": "string",
+  "entities": {
+    "orderIds": ["string"],
+    "accountNumbers": ["string"],
+    "emails": ["string"],
+    "phones": ["string"],
+    "products": ["string"],
+    "dates": ["string"]
   },
-  "reasoning": "string"
+  "summary": "string"
 }`;
 
   try {
-    const response = await aiClient.chat.completions.create({
-      model: MODEL,
+    ({ provider, model } = providers.describeProvider(options.settings, 'analyze'));
+
+    const variant = {
+      provider,
+      model,
+      taxonomy: context.taxonomy,
+      language: getWorkingLanguage(options.settings)
+    };
+    const response = await completeCached(ticket, options, variant, {
+      task: 'analyze',
+      schema: schemas.analysisResponseSchema,
+      settings: options.settings,
+      meter: options.meter,
       messages: [
         {
           role: 'system',
-          content: 'You are an AI assistant that classifies customer support tickets. Be accurate and provide confidence scores.'
+          content: `You are an AI assistant that analyzes customer support tickets. Be accurate and provide confidence scores. ${promptSafety.UNTRUSTED_DATA_INSTRUCTION}`
         },
         {
           role: 'user',
           content: prompt
         }
       ],
-      temperature: 0.3,
-      response_format: { type: 'json_object' }
+      temperature: 0.3
     });
 
-    const result = JSON.parse(response.choices[0].message.content);
-    const processingTime = Date.now() - startTime;
+    const result = response.data;
+    const classification = buildClassification(result, response, context, startTime);
+    const fromOtherTicket = response.cached && options.cache.mode === 'normalized';
 
-    // Validate and normalize results
-    const classification = {
-      category: CATEGORIES.includes(result.category) ? result.category : 'general',
-      priority: PRIORITIES.includes(result.priority) ? result.priority : 'medium',
+    return {
+      classification,
       sentiment: {
-        label: SENTIMENTS.includes(result.sentiment?.label) 
-          ? result.sentiment.label 
-          : 'neutral',
-        score: Math.max(-1, Math.min(1, result.sentiment?.score || 0))
-      },
-      confidence: {
-        category: Math.max(0, Math.min(1, result.confidence?.category || 0.5)),
-        priority: Math.max(0, Math.min(1, result.confidence?.priority || 0.5)),
-        sentiment: Math.max(0, Math.min(1, result.confidence?.sentiment || 0.5))
+        score: classification.sentiment.score,
+        magnitude: result.magnitude ?? null,
+        emotions: result.emotions ?? null,
+        modelVersion: response.model
       },
-      reasoning: result.reasoning || '',
-      modelVersion: MODEL,
-      modelProvider: provider,
-      processingTimeMs: processingTime
+      language: normalizeLanguage(result.language),
+      // Normalized cache keys ignore order numbers; don't copy another ticket's
+      entities: fromOtherTicket
+        ? keepMentionedEntities(result.entities, ticket)
+        : result.entities,
+      // The summary describes the cached ticket (names, order numbers); leave it out
+      summary: fromOtherTicket ? null : result.summary,
+      intent: classification.intent,
+      usage: response.usage
     };
+  } catch (error) {
+    console.error('Ticket analysis error:', error);
 
-    // Calculate overall confidence
-    classification.overallConfidence = (
-      classification.confidence.category +
-      classification.confidence.priority +
-      classification.confidence.sentiment
-    ) / 3;
+    throw new ClassificationError(`Classification failed: ${error.message}`, {
+      cause: error,
+      provider,
+      model,
+      // Retrying cannot fix the tenant's provider settings
+      retryable: provider !== undefined && isRetryableProviderError(error)
+    });
+  }
+}
 
-    return classification;
-  } catch (error) {
-    console.error('Classification error:', error);
-    
-    // Return fallback classification
+/**
+ * Run a JSON completion through the tenant's response cache, if any
+ * @param {Object} ticket - Ticket data
+ * @param {Object} options - classify() options
+ * @param {Object} variant - Provider, model and labels the answer depends on
+ * @param {Object} params - completeJson() parameters
+ * @returns {Object} completeJson() response; cache hits have `cached: true` and no token usage
+ */
+async function completeCached(ticket, options, variant, params) {
+  const { cache } = options;
+  if (!cache) return completeJson(params);
+
+  const hit = await cache.get(params.task, ticket, variant);
+  if (hit) {
     return {
-      category: 'general',
-      priority: 'medium',
-      sentiment: { label: 'neutral', score: 0 },
-      confidence: {
-        category: 0,
-        priority: 0,
-        sentiment: 0
-      },
-      overallConfidence: 0,
-      reasoning: 'Classification failed',
-      modelVersion: MODEL,
-      modelProvider: provider,
-      processingTimeMs: Date.now() - startTime
+      ...hit,
+      usage: { promptTokens: 0, completionTokens: 0, totalTokens: 0 },
+      redactions: {},
+      cached: true
     };
   }
+
+  const response = await completeJson(params);
+  await cache.set(params.task, ticket, variant, response);
+
+  return response;
 }
 
 /**
- * Batch classify multiple tickets
- * @param {Array} tickets - Array of ticket objects
- * @returns {Array} Classification results
+ * Drop cached entities that do not appear in this ticket's text
+ * @param {Object} extracted - Entities from a cached analysis
+ * @param {Object} ticket - Ticket data
+ * @returns {Object} Entities mentioned in the ticket
  */
-async function classifyBatch(tickets) {
-  const results = [];
-  
-  for (const ticket of tickets) {
-    const result = await classify(ticket);
-    results.push({
-      ticketId: ticket.id,
-      ...result
-    });
+function keepMentionedEntities(extracted, ticket) {
+  const text = `${ticket.subject}\n${ticket.body}`.toLowerCase();
+  const kept = {};
+
+  for (const field of Object.keys(ENTITY_TYPES)) {
+    kept[field] = (extracted?.[field] || [])
+      .filter(value => text.includes(String(value).toLowerCase()));
   }
-  
+
+  return kept;
+}
+
+/**
+ * Resolve the taxonomy, few-shot examples and injection score for a ticket
+ * @param {Object} ticket - Ticket data
+ * @param {Object} options - classify() options
+ * @returns {Object} { taxonomy, examples, examplesPrompt, injection }
+ */
+function prepareClassification(ticket, options) {
+  const examples = fewShot.selectExamples(
+    options.examplePool,
+    ticket,
+    options.settings?.ai?.fewShotExamples ?? fewShot.DEFAULT_EXAMPLE_COUNT
+  );
+
+  return {
+    taxonomy: options.taxonomy || DEFAULT_TAXONOMY,
+    examples,
+    examplesPrompt: fewShot.buildExamplesPrompt(examples),
+    injection: promptSafety.scoreInjection(`${ticket.subject}\n${ticket.body}`, {
+      threshold: promptSafety.getThreshold(options.settings)
+    })
+  };
+}
+
+/**
+ * Format the ticket itself for a prompt, as delimited untrusted data
+ * @param {Object} ticket - Ticket data
+ * @returns {string} Prompt text
+ */
+function buildTicketPrompt(ticket) {
+  return `Ticket Subject:
+${promptSafety.wrapUntrusted('subject', ticket.subject)}
+Ticket Body:
+${promptSafety.wrapUntrusted('body', ticket.body)}`;
+}
+
+/**
+ * Normalize a validated model answer into a classification result
+ * @param {Object} result - Validated model output
+ * @param {Object} response - Provider response
+ * @param {Object} context - Result of prepareClassification()
+ * @param {number} startTime - When the request started
+ * @returns {Object} Classification
+ */
+function buildClassification(result, response, context, startTime) {
+  const { taxonomy, examples, injection } = context;
+
+  const classification = {
+    category: resolveLabel(taxonomy.categories, result.category, 'categories'),
+    priority: resolveLabel(taxonomy.priorities, result.priority, 'priorities'),
+    sentiment: {
+      label: resolveLabel(taxonomy.sentiments, result.sentiment?.label, 'sentiments'),
+      score: Math.max(-1, Math.min(1, result.sentiment?.score || 0))
+    },
+    confidence: {
+      category: Math.max(0, Math.min(1, result.confidence?.category || 0.5)),
+      priority: Math.max(0, Math.min(1, result.confidence?.priority || 0.5)),
+      sentiment: Math.max(0, Math.min(1, result.confidence?.sentiment || 0.5))
+    },
+    intent: normalizeIntent(result.intent),
+    reasoning: result.reasoning || '',
+    fewShotExamples: examples.length,
+    injection,
+    usage: response.usage,
+    cached: response.cached === true,
+    modelVersion: response.model,
+    modelProvider: response.provider,
+    processingTimeMs: Date.now() - startTime
+  };
+
+  // Calculate overall confidence
+  classification.overallConfidence = (
+    classification.confidence.category +
+    classification.confidence.priority +
+    classification.confidence.sentiment
+  ) / 3;
+
+  return classification;
+}
+
+/**
+ * Batch classify multiple tickets concurrently
+ * A failure on one ticket never aborts the batch; it is reported in that
+ * ticket's result instead.
+ * @param {Array} tickets - Array of ticket objects
+ * @param {Object} [options] - Options passed to classify(), plus:
+ * @param {number} [options.concurrency] - Parallel provider calls (default 5)
+ * @param {Object} [options.limiter] - TokenBucket shared with other batches on the same provider
+ * @param {Function} [options.onResult] - Called with each result as it completes
+ * @param {Function} [options.meterFor] - (ticket) => usage meter for that ticket's
+ *   calls, so usage rows carry the ticket ID; replaces options.meter
+ * @returns {Array} Results in input order: { ticketId, success, classification?, error?, retryable?, callbackError? }
+ */
+async function classifyBatch(tickets, options = {}) {
+  const { concurrency = 5, limiter, onResult, meterFor, ...classifyOptions } = options;
+  const results = new Array(tickets.length);
+  let nextIndex = 0;
+
+  const runNext = async () => {
+    while (nextIndex < tickets.length) {
+      const index = nextIndex++;
+      const ticket = tickets[index];
+      let result;
+
+      try {
+        if (limiter) await limiter.take();
+        const classification = await classify(ticket, meterFor
+          ? { ...classifyOptions, meter: meterFor(ticket) }
+          : classifyOptions);
+        result = { ticketId: ticket.id, success: true, classification };
+      } catch (error) {
+        result = {
+          ticketId: ticket.id,
+          success: false,
+          error: error.message,
+          retryable: error.retryable ?? false
+        };
+      }
+
+      results[index] = result;
+
+      // A failed write for one ticket must not abort the rest of the chunk
+      if (onResult) {
+        try {
+          await onResult(result);
+        } catch (error) {
+          console.error('Batch result handler error:', { ticketId: ticket.id, error: error.message });
+          result.callbackError = error.message;
+        }
+      }
+    }
+  };
+
+  const workers = Array.from(
+    { length: Math.max(1, Math.min(concurrency, tickets.length)) },
+    runNext
+  );
+  await Promise.all(workers);
+
   return results;
 }
 
 /**
  * Analyze sentiment in detail
  * @param {string} text - Text to analyze
- * @returns {Object} Detailed sentiment analysis
+ * @param {Object} [options] - Options
+ * @param {Object} [options.settings] - Tenant settings (selects provider/model)
+ * @param {Object} [options.meter] - Usage meter (see usage.createMeter)
+ * @returns {Object} Detailed sentiment analysis ({ failed: true } with zero scores on error)
  */
-async function analyzeSentiment(text) {
+async function analyzeSentiment(text, options = {}) {
   const prompt = `Analyze the sentiment of the following text in detail:
 
-Text: "${text}"
+${promptSafety.wrapUntrusted('text', text)}
 
 Provide:
 1. Overall sentiment score (-1.0 to 1.0)
@@ -200,29 +466,36 @@ Respond in JSON format:
 }`;
 
   try {
-    const response = await aiClient.chat.completions.create({
-      model: MODEL,
+    const response = await completeJson({
+      task: 'sentiment',
+      schema: schemas.sentimentResponseSchema,
+      settings: options.settings,
+      meter: options.meter,
       messages: [
         {
           role: 'system',
-          content: 'You are a sentiment analysis expert. Provide detailed emotion breakdowns.'
+          content: `You are a sentiment analysis expert. Provide detailed emotion breakdowns. ${promptSafety.UNTRUSTED_DATA_INSTRUCTION}`
         },
         {
           role: 'user',
           content: prompt
         }
       ],
-      temperature: 0.3,
-      response_format: { type: 'json_object' }
+      temperature: 0.3
     });
 
-    return JSON.parse(response.choices[0].message.content);
+    return {
+      ...response.data,
+      modelVersion: response.model
+    };
   } catch (error) {
     console.error('Sentiment analysis error:', error);
     return {
       score: 0,
       magnitude: 0,
-      emotions: { joy: 0, anger: 0, sadness: 0, fear: 0, disgust: 0 }
+      emotions: { joy: 0, anger: 0, sadness: 0, fear: 0, disgust: 0 },
+      modelVersion: null,
+      failed: true
     };
   }
 }
@@ -230,12 +503,17 @@ Respond in JSON format:
 /**
  * Detect language of text
  * @param {string} text - Text to analyze
- * @returns {string} ISO language code
+ * @param {Object} [options] - Options
+ * @param {Object} [options.settings] - Tenant settings (selects provider/model)
+ * @param {Object} [options.meter] - Usage meter (see usage.createMeter)
+ * @returns {string|null} ISO language code (null on error)
  */
-async function detectLanguage(text) {
+async function detectLanguage(text, options = {}) {
   try {
-    const response = await aiClient.chat.completions.create({
-      model: MODEL,
+    const response = await providers.complete({
+      task: 'language',
+      settings: options.settings,
+      meter: options.meter,
       messages: [
         {
           role: 'system',
@@ -247,25 +525,28 @@ async function detectLanguage(text) {
         }
       ],
       temperature: 0,
-      max_tokens: 10
+      maxTokens: 10
     });
 
-    return response.choices[0].message.content.trim().toLowerCase();
+    return normalizeLanguage(response.content);
   } catch (error) {
     console.error('Language detection error:', error);
-    return 'en';
+    return null;
   }
 }
 
 /**
  * Extract entities from ticket
  * @param {string} text - Text to analyze
- * @returns {Object} Extracted entities
+ * @param {Object} [options] - Options
+ * @param {Object} [options.settings] - Tenant settings (selects provider/model)
+ * @param {Object} [options.meter] - Usage meter (see usage.createMeter)
+ * @returns {Object} Extracted entities ({ failed: true } with empty lists on error)
  */
-async function extractEntities(text) {
+async function extractEntities(text, options = {}) {
   const prompt = `Extract key entities from the following support ticket:
 
-Text: "${text}"
+${promptSafety.wrapUntrusted('text', text)}
 
 Extract:
 - Order IDs
@@ -286,23 +567,25 @@ Respond in JSON format:
 }`;
 
   try {
-    const response = await aiClient.chat.completions.create({
-      model: MODEL,
+    const response = await completeJson({
+      task: 'entities',
+      schema: schemas.entitiesResponseSchema,
+      settings: options.settings,
+      meter: options.meter,
       messages: [
         {
           role: 'system',
-          content: 'Extract structured entities from support tickets.'
+          content: `Extract structured entities from support tickets. ${promptSafety.UNTRUSTED_DATA_INSTRUCTION}`
         },
         {
           role: 'user',
           content: prompt
         }
       ],
-      temperature: 0.3,
-      response_format: { type: 'json_object' }
+      temperature: 0.3
     });
 
-    return JSON.parse(response.choices[0].message.content);
+    return response.data;
   } catch (error) {
     console.error('Entity extraction error:', error);
     return {
@@ -311,17 +594,20 @@ Respond in JSON format:
       emails: [],
       phones: [],
       products: [],
-      dates: []
+      dates: [],
+      failed: true
     };
   }
 }
 
 module.exports = {
   classify,
+  analyzeTicket,
   classifyBatch,
   analyzeSentiment,
   detectLanguage,
   extractEntities,
+  ClassificationError,
   CATEGORIES,
   PRIORITIES,
   SENTIMENTS
@@ -0,0 +1,314 @@
+/**
+ * Routing Rule Conditions for TicketAI
+ * Evaluates routing_rules.conditions against a ticket. Conditions are JSON:
+ * field keys are ANDed, { $or: [...] }, { $and: [...] } and { $not: {...} }
+ * group them, and { $businessHours: true } / { $schedule: {...} } match on
+ * the time the ticket is routed. See validators.routingConditionsSchema.
+ */
+const { RE2JS } = require('re2js');
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Ticket columns rules can test, plus customer_domain (from customer_email)
+const CONDITION_FIELDS = [
+  'category', 'priority', 'sentiment', 'sentiment_score', 'intent', 'language', 'status',
+  'source', 'subject', 'body', 'tags', 'customer_email', 'customer_name', 'customer_domain',
+  'ai_confidence', 'ai_status', 'assigned_team', 'assigned_to'
+];
+
+const GROUP_OPERATORS = ['$and', '$or', '$not'];
+const TIME_OPERATORS = ['$businessHours', '$schedule'];
+const FIELD_OPERATORS = ['$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$nin', '$contains', '$regex', '$options', '$exists'];
+
+const DEFAULT_BUSINESS_HOURS = {
+  timezone: 'UTC',
+  days: ['mon', 'tue', 'wed', 'thu', 'fri'],
+  start: '09:00',
+  end: '17:00'
+};
+
+// Long bodies are cut before $contains/$regex so one rule cannot stall routing
+const MAX_TEXT_LENGTH = 20000;
+
+// $regex runs on the event loop (shared by every tenant), so it sees much less text
+const MAX_REGEX_TEXT_LENGTH = 2000;
+
+// $options flags -> RE2 flags (RE2 is always Unicode-aware, so "u" needs none)
+const REGEX_FLAGS = {
+  i: RE2JS.CASE_INSENSITIVE,
+  m: RE2JS.MULTILINE,
+  s: RE2JS.DOTALL,
+  u: 0
+};
+
+/**
+ * Get a tenant's business hours; invalid settings (e.g. an unknown timezone)
+ * fall back to the defaults instead of failing every routing call
+ * @param {Object} [settings] - Tenant settings (settings.businessHours)
+ * @returns {Object} { timezone, days, start, end }
+ */
+function getBusinessHours(settings) {
+  // Required here because validators.js builds its schemas from this module
+  const { businessHoursSchema } = require('../utils/validators');
+
+  const parsed = businessHoursSchema.safeParse({ ...DEFAULT_BUSINESS_HOURS, ...(settings?.businessHours || {}) });
+  return parsed.success ? parsed.data : { ...DEFAULT_BUSINESS_HOURS };
+}
+
+/**
+ * Parse "HH:MM" into minutes after midnight
+ * @param {string} time - Time of day
+ * @returns {number} Minutes
+ */
+function toMinutes(time) {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+}
+
+/**
+ * Day of week and time of day in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {Object} { day: 'mon', minutes }
+ */
+function getLocalTime(date, timezone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    })
+      .formatToParts(date)
+      .map(part => [part.type, part.value])
+  );
+
+  return {
+    day: parts.weekday.toLowerCase().substring(0, 3),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+}
+
+/**
+ * Check whether an instant falls in a weekly schedule.
+ * A window whose end is before its start runs overnight (22:00-06:00).
+ * @param {Object} schedule - { timezone, days, start, end }
+ * @param {Date} now - Instant
+ * @returns {boolean}
+ */
+function inSchedule(schedule, now) {
+  const { day, minutes } = getLocalTime(now, schedule.timezone);
+  if (!schedule.days.includes(day)) return false;
+
+  const start = toMinutes(schedule.start);
+  const end = toMinutes(schedule.end);
+
+  return start <= end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
+
+/**
+ * Read a field from a ticket
+ * @param {Object} ticket - Ticket data
+ * @param {string} field - Condition field
+ * @returns {*} Value
+ */
+function getFieldValue(ticket, field) {
+  if (field === 'customer_domain') {
+    return String(ticket.customer_email || '').split('@')[1]?.toLowerCase() || null;
+  }
+
+  const value = ticket[field];
+  return typeof value === 'string' && (field === 'subject' || field === 'body')
+    ? value.substring(0, MAX_TEXT_LENGTH)
+    : value;
+}
+
+/**
+ * Compare a ticket value with an expected value.
+ * Array fields (tags) match when any element matches; customer_domain also
+ * matches subdomains ("example.com" matches "eu.example.com").
+ * @param {string} field - Condition field
+ * @param {*} actual - Ticket value
+ * @param {*} expected - Condition value
+ * @returns {boolean}
+ */
+function equals(field, actual, expected) {
+  if (Array.isArray(actual)) {
+    return actual.some(item => equals(field, item, expected));
+  }
+
+  if (field === 'customer_domain' && typeof expected === 'string' && actual) {
+    const domain = expected.toLowerCase().replace(/^@/, '');
+    return actual === domain || actual.endsWith(`.${domain}`);
+  }
+
+  return actual === expected;
+}
+
+/**
+ * Case-insensitive substring (strings) or element (arrays) check
+ * @param {*} actual - Ticket value
+ * @param {*} expected - Substring or element
+ * @returns {boolean}
+ */
+function contains(actual, expected) {
+  if (Array.isArray(actual)) return actual.includes(expected);
+  if (typeof actual !== 'string') return false;
+
+  return actual.toLowerCase().includes(String(expected).toLowerCase());
+}
+
+/**
+ * Compile a $regex pattern with RE2, which matches in linear time, so no
+ * pattern can backtrack catastrophically (no lookarounds or backreferences)
+ * @param {string} pattern - Regular expression
+ * @param {string} [flags] - $options (i, m, s, u)
+ * @returns {RE2JS|null} Compiled pattern, or null when invalid
+ */
+function compilePattern(pattern, flags = '') {
+  try {
+    const mask = [...String(flags)].reduce((result, flag) => result | (REGEX_FLAGS[flag] ?? 0), 0);
+    return RE2JS.compile(pattern, mask);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Test a pattern; an invalid pattern never matches
+ * @param {*} actual - Ticket value
+ * @param {string} pattern - Regular expression
+ * @param {string} [flags] - Regular expression flags
+ * @returns {boolean}
+ */
+function matchesPattern(actual, pattern, flags = '') {
+  if (actual === null || actual === undefined) return false;
+
+  const regex = compilePattern(pattern, flags);
+  if (!regex) return false;
+
+  return (Array.isArray(actual) ? actual : [actual]).some(item =>
+    regex.matcher(String(item).substring(0, MAX_REGEX_TEXT_LENGTH)).find()
+  );
+}
+
+/**
+ * Check one field against its operators (all must hold)
+ * @param {string} field - Condition field
+ * @param {*} actual - Ticket value
+ * @param {Object} operators - e.g. { $gte: 0.5, $lt: 0.9 }
+ * @returns {boolean}
+ */
+function matchesOperators(field, actual, operators) {
+  for (const [operator, expected] of Object.entries(operators)) {
+    switch (operator) {
+      case '$eq':
+        if (!equals(field, actual, expected)) return false;
+        break;
+      case '$ne':
+        if (equals(field, actual, expected)) return false;
+        break;
+      case '$gt':
+        if (!(actual > expected)) return false;
+        break;
+      case '$gte':
+        if (!(actual >= expected)) return false;
+        break;
+      case '$lt':
+        if (!(actual < expected)) return false;
+        break;
+      case '$lte':
+        if (!(actual <= expected)) return false;
+        break;
+      case '$in':
+        if (!Array.isArray(expected) || !expected.some(value => equals(field, actual, value))) return false;
+        break;
+      case '$nin':
+        if (!Array.isArray(expected) || expected.some(value => equals(field, actual, value))) return false;
+        break;
+      case '$contains':
+        if (!(Array.isArray(expected) ? expected : [expected]).some(value => contains(actual, value))) return false;
+        break;
+      case '$regex':
+        if (!matchesPattern(actual, expected, operators.$options)) return false;
+        break;
+      case '$options':
+        break;
+      case '$exists': {
+        const exists = actual !== null && actual !== undefined && !(Array.isArray(actual) && actual.length === 0);
+        if (exists !== expected) return false;
+        break;
+      }
+      default:
+        // Unknown operators are rejected on save; never match on stale rows
+        return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Evaluate rule conditions against a ticket
+ * @param {Object} ticket - Ticket data
+ * @param {Object} conditions - Rule conditions
+ * @param {Object} [context] - { now, businessHours } for time conditions
+ * @returns {boolean}
+ */
+function matchesConditions(ticket, conditions, context = {}) {
+  if (!conditions || typeof conditions !== 'object' || Array.isArray(conditions)) return false;
+
+  const now = context.now || new Date();
+  const businessHours = context.businessHours || DEFAULT_BUSINESS_HOURS;
+
+  for (const [key, value] of Object.entries(conditions)) {
+    switch (key) {
+      case '$and':
+        if (!Array.isArray(value) || !value.every(group => matchesConditions(ticket, group, context))) return false;
+        continue;
+      case '$or':
+        if (!Array.isArray(value) || !value.some(group => matchesConditions(ticket, group, context))) return false;
+        continue;
+      case '$not':
+        if (matchesConditions(ticket, value, context)) return false;
+        continue;
+      case '$businessHours':
+        if (inSchedule(businessHours, now) !== value) return false;
+        continue;
+      case '$schedule':
+        if (!inSchedule({ ...businessHours, ...value }, now)) return false;
+        continue;
+    }
+
+    if (key.startsWith('$')) return false;
+
+    const actual = getFieldValue(ticket, key);
+
+    if (Array.isArray(value)) {
+      // Array means "any of these values"
+      if (!value.some(expected => equals(key, actual, expected))) return false;
+    } else if (value !== null && typeof value === 'object') {
+      if (!matchesOperators(key, actual, value)) return false;
+    } else if (!equals(key, actual, value)) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+module.exports = {
+  DAYS,
+  CONDITION_FIELDS,
+  GROUP_OPERATORS,
+  TIME_OPERATORS,
+  FIELD_OPERATORS,
+  DEFAULT_BUSINESS_HOURS,
+  getBusinessHours,
+  inSchedule,
+  compilePattern,
+  matchesConditions
+};
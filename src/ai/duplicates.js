@@ -0,0 +1,254 @@
+/**
+ * Duplicate Detection for TicketAI
+ * Customers often open the same issue twice (e.g. by email and through the
+ * API). New tickets are compared with the customer's recent tickets by token
+ * overlap and likely duplicates are linked for agents to merge.
+ */
+const { normalizeText } = require('./response-cache');
+
+const DEFAULT_THRESHOLD = 0.5;
+const DEFAULT_LOOKBACK_DAYS = 14;
+const MAX_CANDIDATES = 50;
+
+// The subject says what the issue is; the body repeats it with more noise
+const SUBJECT_WEIGHT = 0.4;
+const BODY_WEIGHT = 0.6;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'for', 'from', 'have',
+  'i', 'if', 'in', 'is', 'it', 'me', 'my', 'no', 'not', 'of', 'on', 'or', 'our', 'please', 'so',
+  'that', 'the', 'this', 'to', 'was', 'we', 'with', 'you', 'your'
+]);
+
+/**
+ * Get a tenant's duplicate detection settings
+ * @param {Object} [settings] - Tenant settings (settings.duplicates)
+ * @returns {Object} { enabled, threshold, lookbackDays }
+ */
+function getDuplicateSettings(settings) {
+  const duplicates = settings?.duplicates || {};
+
+  return {
+    enabled: duplicates.enabled !== false,
+    threshold: typeof duplicates.threshold === 'number' && duplicates.threshold > 0 && duplicates.threshold <= 1
+      ? duplicates.threshold
+      : DEFAULT_THRESHOLD,
+    lookbackDays: Number.isInteger(duplicates.lookbackDays) && duplicates.lookbackDays > 0
+      ? duplicates.lookbackDays
+      : DEFAULT_LOOKBACK_DAYS
+  };
+}
+
+/**
+ * Split text into comparable tokens (no greetings, reply prefixes or stop words)
+ * @param {string} text - Subject or body
+ * @returns {Set<string>} Tokens
+ */
+function tokenize(text) {
+  const normalized = normalizeText(String(text ?? '').replace(/^(?:\s*(?:re|fwd?|aw|wg)\s*:)+/i, ''));
+
+  return new Set(
+    normalized
+      .split(/[^\p{L}\p{N}#]+/u)
+      .filter(token => token.length > 1 && !STOP_WORDS.has(token))
+  );
+}
+
+/**
+ * Jaccard overlap of two token sets
+ * @param {Set<string>} a - Tokens
+ * @param {Set<string>} b - Tokens
+ * @returns {number} 0 to 1
+ */
+function jaccard(a, b) {
+  if (a.size === 0 && b.size === 0) return 0;
+
+  let shared = 0;
+  for (const token of a) {
+    if (b.has(token)) shared++;
+  }
+
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Score how similar two tickets are
+ * @param {Object} a - { subject, body }
+ * @param {Object} b - { subject, body }
+ * @returns {number} 0 to 1
+ */
+function similarity(a, b) {
+  const score = SUBJECT_WEIGHT * jaccard(tokenize(a.subject), tokenize(b.subject))
+    + BODY_WEIGHT * jaccard(tokenize(a.body), tokenize(b.body));
+
+  return Math.round(score * 1000) / 1000;
+}
+
+/**
+ * Find the customer's recent tickets that look like the same issue
+ * @param {Object} supabase - Supabase client
+ * @param {Object} params - Parameters
+ * @param {string} params.tenantId - Tenant ID
+ * @param {Object} params.ticket - Ticket row (id, customer_email, subject, body, created_at)
+ * @param {Object} [params.settings] - Tenant settings (settings.duplicates)
+ * @returns {Array} [{ ticket, score }] above the threshold, best first
+ */
+async function findDuplicates(supabase, { tenantId, ticket, settings }) {
+  const config = getDuplicateSettings(settings);
+  if (!config.enabled || !ticket.customer_email) return [];
+
+  const anchor = ticket.created_at ? new Date(ticket.created_at) : new Date();
+  const since = new Date(anchor.getTime() - config.lookbackDays * 24 * 60 * 60 * 1000);
+
+  const { data: candidates, error } = await supabase
+    .from('tickets')
+    .select('id, subject, body, status, created_at')
+    .eq('tenant_id', tenantId)
+    .eq('customer_email', ticket.customer_email)
+    .neq('id', ticket.id)
+    .neq('status', 'spam')
+    .is('merged_into', null)
+    .gte('created_at', since.toISOString())
+    .order('created_at', { ascending: false })
+    .limit(MAX_CANDIDATES);
+
+  if (error) throw error;
+
+  return (candidates || [])
+    .map(candidate => ({ ticket: candidate, score: similarity(ticket, candidate) }))
+    .filter(match => match.score >= config.threshold)
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Link a new ticket to likely duplicates (ticket_links.link_type "duplicate")
+ * @param {Object} supabase - Supabase client
+ * @param {Object} params - Same as findDuplicates()
+ * @returns {Array} [{ ticketId, score }] linked tickets
+ */
+async function linkDuplicates(supabase, { tenantId, ticket, settings }) {
+  const matches = await findDuplicates(supabase, { tenantId, ticket, settings });
+  if (matches.length === 0) return [];
+
+  const { error } = await supabase
+    .from('ticket_links')
+    .upsert(matches.map(match => ({
+      tenant_id: tenantId,
+      ticket_id: ticket.id,
+      linked_ticket_id: match.ticket.id,
+      link_type: 'duplicate',
+      metadata: { score: match.score }
+    })), {
+      onConflict: 'ticket_id,linked_ticket_id,link_type',
+      ignoreDuplicates: true
+    });
+
+  if (error) throw error;
+
+  return matches.map(match => ({ ticketId: match.ticket.id, score: match.score }));
+}
+
+/**
+ * Link duplicates of a newly created ticket without failing its creation
+ * @param {Object} supabase - Supabase client
+ * @param {Object} params - Same as findDuplicates()
+ * @returns {Array} Linked tickets ([] on error)
+ */
+async function detectDuplicates(supabase, params) {
+  try {
+    return await linkDuplicates(supabase, params);
+  } catch (error) {
+    console.error('Duplicate detection error:', error);
+    return [];
+  }
+}
+
+/**
+ * Merge one ticket into another: its messages and history move to the
+ * surviving ticket and it is closed with a pointer (tickets.merged_into)
+ * @param {Object} supabase - Supabase client
+ * @param {Object} params - Parameters
+ * @param {string} params.tenantId - Tenant ID
+ * @param {Object} params.target - Surviving ticket row
+ * @param {Object} params.source - Ticket merged into it
+ * @param {string} [params.userId] - Agent performing the merge
+ * @returns {Object} { movedMessages, movedHistory }
+ */
+async function mergeTickets(supabase, { tenantId, target, source, userId }) {
+  const { data: movedMessages, error: messagesError } = await supabase
+    .from('ticket_messages')
+    .update({ ticket_id: target.id })
+    .eq('ticket_id', source.id)
+    .select('id');
+
+  if (messagesError) throw messagesError;
+
+  const { data: movedHistory, error: historyError } = await supabase
+    .from('ticket_history')
+    .update({ ticket_id: target.id })
+    .eq('ticket_id', source.id)
+    .select('id');
+
+  if (historyError) throw historyError;
+
+  const { error: closeError } = await supabase
+    .from('tickets')
+    .update({
+      status: 'closed',
+      merged_into: target.id,
+      needs_triage: false
+    })
+    .eq('id', source.id)
+    .eq('tenant_id', tenantId);
+
+  if (closeError) throw closeError;
+
+  await supabase
+    .from('ticket_links')
+    .upsert({
+      tenant_id: tenantId,
+      ticket_id: source.id,
+      linked_ticket_id: target.id,
+      link_type: 'merged',
+      metadata: { mergedBy: userId || null }
+    }, {
+      onConflict: 'ticket_id,linked_ticket_id,link_type',
+      ignoreDuplicates: true
+    });
+
+  await supabase
+    .from('ticket_history')
+    .insert([
+      {
+        ticket_id: target.id,
+        action: 'merged',
+        performed_by: userId,
+        new_value: source.id,
+        metadata: { sourceSubject: source.subject }
+      },
+      {
+        ticket_id: source.id,
+        action: 'merged_into',
+        performed_by: userId,
+        old_value: source.status,
+        new_value: target.id
+      }
+    ]);
+
+  return {
+    movedMessages: (movedMessages || []).length,
+    movedHistory: (movedHistory || []).length
+  };
+}
+
+module.exports = {
+  DEFAULT_THRESHOLD,
+  DEFAULT_LOOKBACK_DAYS,
+  getDuplicateSettings,
+  tokenize,
+  similarity,
+  findDuplicates,
+  linkDuplicates,
+  detectDuplicates,
+  mergeTickets
+};
@@ -0,0 +1,221 @@
+/**
+ * Ticket Entities for TicketAI
+ * Stores entities extracted from tickets (order IDs, account numbers, ...)
+ * so tickets can be searched by them and linked when they share an order.
+ */
+
+// extractEntities() result field -> ticket_entities.entity_type
+const ENTITY_TYPES = {
+  orderIds: 'order_id',
+  accountNumbers: 'account_number',
+  emails: 'email',
+  phones: 'phone',
+  products: 'product',
+  dates: 'date'
+};
+
+// GET /api/tickets query parameter -> ticket_entities.entity_type
+const ENTITY_FILTERS = {
+  orderId: 'order_id',
+  accountNumber: 'account_number',
+  mentionedEmail: 'email',
+  phone: 'phone',
+  product: 'product'
+};
+
+/**
+ * Normalize an entity value so equal values match regardless of formatting
+ * @param {string} type - Entity type
+ * @param {string} value - Raw value
+ * @returns {string} Normalized value ('' if nothing usable is left)
+ */
+function normalizeEntity(type, value) {
+  const text = String(value ?? '').trim();
+
+  switch (type) {
+    case 'order_id':
+    case 'account_number':
+      // "Order #12345", "#12345" and "12345" are the same order
+      return text
+        .replace(/^(?:order|account|acct)\b[\s:]*/i, '')
+        .replace(/^#\s*/, '')
+        .replace(/\s+/g, '')
+        .toUpperCase();
+    case 'email':
+      return text.toLowerCase();
+    case 'phone':
+      return text.replace(/(?!^\+)[^\d]/g, '');
+    default:
+      return text.toLowerCase().replace(/\s+/g, ' ');
+  }
+}
+
+/**
+ * Turn an extractEntities() result into ticket_entities rows
+ * @param {Object} params - Parameters
+ * @param {string} params.tenantId - Tenant ID
+ * @param {string} params.ticketId - Ticket ID
+ * @param {Object} params.entities - Result of extractEntities()
+ * @returns {Array} Rows, de-duplicated
+ */
+function toEntityRows({ tenantId, ticketId, entities }) {
+  const rows = new Map();
+
+  for (const [field, type] of Object.entries(ENTITY_TYPES)) {
+    const values = Array.isArray(entities?.[field]) ? entities[field] : [];
+
+    for (const value of values) {
+      const normalized = normalizeEntity(type, value);
+      if (!normalized) continue;
+
+      rows.set(`${type}|${normalized}`, {
+        tenant_id: tenantId,
+        ticket_id: ticketId,
+        entity_type: type,
+        value: String(value).trim().substring(0, 255),
+        normalized_value: normalized.substring(0, 255)
+      });
+    }
+  }
+
+  return [...rows.values()];
+}
+
+/**
+ * Save extracted entities for a ticket
+ * @param {Object} supabase - Supabase client
+ * @param {Object} params - Parameters
+ * @param {string} params.tenantId - Tenant ID
+ * @param {string} params.ticketId - Ticket ID
+ * @param {Object} params.entities - Result of extractEntities()
+ * @returns {Array} Saved rows
+ */
+async function saveEntities(supabase, { tenantId, ticketId, entities }) {
+  const rows = toEntityRows({ tenantId, ticketId, entities });
+  if (rows.length === 0) return [];
+
+  const { error } = await supabase
+    .from('ticket_entities')
+    .upsert(rows, {
+      onConflict: 'ticket_id,entity_type,normalized_value',
+      ignoreDuplicates: true
+    });
+
+  if (error) throw error;
+
+  return rows;
+}
+
+/**
+ * Link a ticket to other tickets of the tenant that mention the same orders
+ * @param {Object} supabase - Supabase client
+ * @param {Object} params - Parameters
+ * @param {string} params.tenantId - Tenant ID
+ * @param {string} params.ticketId - Ticket ID
+ * @param {Array<string>} params.orderIds - Normalized order IDs
+ * @returns {Array} Created links
+ */
+async function linkSameOrderTickets(supabase, { tenantId, ticketId, orderIds }) {
+  if (!orderIds || orderIds.length === 0) return [];
+
+  const { data: matches, error } = await supabase
+    .from('ticket_entities')
+    .select('ticket_id, normalized_value')
+    .eq('tenant_id', tenantId)
+    .eq('entity_type', 'order_id')
+    .in('normalized_value', orderIds)
+    .neq('ticket_id', ticketId);
+
+  if (error) throw error;
+
+  const links = new Map();
+  for (const match of matches || []) {
+    if (links.has(match.ticket_id)) continue;
+
+    links.set(match.ticket_id, {
+      tenant_id: tenantId,
+      ticket_id: ticketId,
+      linked_ticket_id: match.ticket_id,
+      link_type: 'same_order',
+      metadata: { orderId: match.normalized_value }
+    });
+  }
+
+  if (links.size === 0) return [];
+
+  const { error: linkError } = await supabase
+    .from('ticket_links')
+    .upsert([...links.values()], {
+      onConflict: 'ticket_id,linked_ticket_id,link_type',
+      ignoreDuplicates: true
+    });
+
+  if (linkError) throw linkError;
+
+  return [...links.values()];
+}
+
+/**
+ * Find tickets mentioning every given entity
+ * @param {Object} supabase - Supabase client
+ * @param {string} tenantId - Tenant ID
+ * @param {Object} filters - { entity_type: value }
+ * @returns {Array<string>} Ticket IDs
+ */
+async function findTicketIdsByEntities(supabase, tenantId, filters) {
+  let ticketIds = null;
+
+  for (const [type, value] of Object.entries(filters)) {
+    const { data: rows, error } = await supabase
+      .from('ticket_entities')
+      .select('ticket_id')
+      .eq('tenant_id', tenantId)
+      .eq('entity_type', type)
+      .eq('normalized_value', normalizeEntity(type, value));
+
+    if (error) throw error;
+
+    const ids = new Set((rows || []).map(row => row.ticket_id));
+    ticketIds = ticketIds === null
+      ? ids
+      : new Set([...ticketIds].filter(id => ids.has(id)));
+
+    if (ticketIds.size === 0) break;
+  }
+
+  return [...(ticketIds || [])];
+}
+
+/**
+ * Get a ticket's links in either direction
+ * @param {Object} supabase - Supabase client
+ * @param {string} ticketId - Ticket ID
+ * @returns {Array} Links { ticketId, linkType, metadata, createdAt }
+ */
+async function getTicketLinks(supabase, ticketId) {
+  const { data: rows, error } = await supabase
+    .from('ticket_links')
+    .select('*')
+    .or(`ticket_id.eq.${ticketId},linked_ticket_id.eq.${ticketId}`)
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+
+  return (rows || []).map(row => ({
+    ticketId: row.ticket_id === ticketId ? row.linked_ticket_id : row.ticket_id,
+    linkType: row.link_type,
+    metadata: row.metadata || {},
+    createdAt: row.created_at
+  }));
+}
+
+module.exports = {
+  ENTITY_TYPES,
+  ENTITY_FILTERS,
+  normalizeEntity,
+  toEntityRows,
+  saveEntities,
+  linkSameOrderTickets,
+  findTicketIdsByEntities,
+  getTicketLinks
+};
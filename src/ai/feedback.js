@@ -0,0 +1,173 @@
+/**
+ * Classification Feedback for TicketAI
+ * Records agent corrections against AI classifications and measures accuracy
+ */
+
+/**
+ * Record an agent's category/priority decision against the latest classification
+ * Setting a field to the predicted value counts as a confirmation.
+ * @param {Object} supabase - Supabase client
+ * @param {Object} params - Correction parameters
+ * @param {string} params.ticketId - Ticket ID
+ * @param {string} [params.category] - Category chosen by the agent
+ * @param {string} [params.priority] - Priority chosen by the agent
+ * @param {string} params.userId - Agent making the change
+ * @returns {Object|null} Updated classification, or null if the ticket was never classified
+ */
+async function recordCorrection(supabase, { ticketId, category, priority, userId }) {
+  if (!category && !priority) return null;
+
+  const { data: classification } = await supabase
+    .from('classifications')
+    .select('*')
+    .eq('ticket_id', ticketId)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .single();
+
+  if (!classification) return null;
+
+  const updateData = {
+    corrected_by: userId,
+    corrected_at: new Date().toISOString()
+  };
+
+  if (category) {
+    const correct = category === classification.predicted_category;
+    updateData.was_correct = correct;
+    updateData.corrected_category = correct ? null : category;
+  }
+
+  if (priority) {
+    const correct = priority === classification.predicted_priority;
+    updateData.priority_was_correct = correct;
+    updateData.corrected_priority = correct ? null : priority;
+  }
+
+  const { data: updated, error } = await supabase
+    .from('classifications')
+    .update(updateData)
+    .eq('id', classification.id)
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  return updated;
+}
+
+/**
+ * Work out the true label for a classification, if one is known
+ * @param {Object} classification - Classification row with its ticket
+ * @param {string} field - category or priority
+ * @param {boolean} reviewedOnly - Ignore implicit acceptance
+ * @returns {Object|null} { actual, explicit } or null when unknown
+ */
+function getActualLabel(classification, field, reviewedOnly) {
+  const predicted = classification[`predicted_${field}`];
+  const wasCorrect = field === 'category'
+    ? classification.was_correct
+    : classification.priority_was_correct;
+
+  if (wasCorrect === true) return { actual: predicted, explicit: true };
+  if (wasCorrect === false) {
+    return { actual: classification[`corrected_${field}`], explicit: true };
+  }
+
+  // A resolved ticket whose label was never changed is an implicit acceptance
+  const ticket = classification.tickets;
+  if (!reviewedOnly && ticket && ['resolved', 'closed'].includes(ticket.status)) {
+    return { actual: ticket[field], explicit: false };
+  }
+
+  return null;
+}
+
+/**
+ * Calculate per-label precision/recall and a confusion matrix
+ * @param {Array} classifications - Classification rows joined with tickets(status, category, priority)
+ * @param {Object} [options] - Options
+ * @param {string} [options.field] - category or priority
+ * @param {boolean} [options.reviewedOnly] - Only use explicit agent feedback
+ * @returns {Object} Accuracy report
+ */
+function calculateAccuracy(classifications, { field = 'category', reviewedOnly = false } = {}) {
+  // Only the latest classification of each ticket counts
+  const latest = new Map();
+  for (const c of classifications || []) {
+    const current = latest.get(c.ticket_id);
+    if (!current || new Date(c.created_at) > new Date(current.created_at)) {
+      latest.set(c.ticket_id, c);
+    }
+  }
+
+  const matrix = {};
+  const labels = new Set();
+  let total = 0;
+  let correct = 0;
+  let explicitCount = 0;
+
+  for (const c of latest.values()) {
+    const predicted = c[`predicted_${field}`];
+    const label = getActualLabel(c, field, reviewedOnly);
+    if (!predicted || !label?.actual) continue;
+
+    const { actual, explicit } = label;
+    labels.add(actual);
+    labels.add(predicted);
+
+    matrix[actual] = matrix[actual] || {};
+    matrix[actual][predicted] = (matrix[actual][predicted] || 0) + 1;
+
+    total++;
+    if (actual === predicted) correct++;
+    if (explicit) explicitCount++;
+  }
+
+  const sortedLabels = [...labels].sort();
+  const perLabel = {};
+
+  for (const label of sortedLabels) {
+    const truePositives = matrix[label]?.[label] || 0;
+    const support = Object.values(matrix[label] || {}).reduce((sum, n) => sum + n, 0);
+    const predictedCount = sortedLabels.reduce(
+      (sum, actual) => sum + (matrix[actual]?.[label] || 0), 0
+    );
+
+    const precision = predictedCount > 0 ? truePositives / predictedCount : null;
+    const recall = support > 0 ? truePositives / support : null;
+    const f1 = precision && recall
+      ? (2 * precision * recall) / (precision + recall)
+      : 0;
+
+    perLabel[label] = {
+      precision,
+      recall,
+      f1,
+      support,
+      predicted: predictedCount
+    };
+  }
+
+  return {
+    field,
+    total,
+    correct,
+    accuracy: total > 0 ? correct / total : null,
+    explicitFeedback: explicitCount,
+    implicitFeedback: total - explicitCount,
+    perLabel,
+    confusionMatrix: {
+      labels: sortedLabels,
+      // rows are actual labels, columns are predicted labels
+      matrix: sortedLabels.map(actual =>
+        sortedLabels.map(predicted => matrix[actual]?.[predicted] || 0)
+      )
+    }
+  };
+}
+
+module.exports = {
+  recordCorrection,
+  calculateAccuracy
+};
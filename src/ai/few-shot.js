@@ -0,0 +1,178 @@
+/**
+ * Few-shot Examples for TicketAI
+ * Builds classification examples from a tenant's own tickets whose labels an
+ * agent confirmed or corrected, so the model learns each tenant's vocabulary.
+ */
+
+const { wrapUntrusted } = require('./prompt-safety');
+
+const POOL_SIZE = 50;
+const DEFAULT_EXAMPLE_COUNT = 4;
+const MAX_PER_CATEGORY = 2;
+const CACHE_TTL_SECONDS = 24 * 60 * 60;
+const EXAMPLE_BODY_LENGTH = 500;
+
+const cacheKey = (tenantId) => `ai:fewshot:${tenantId}`;
+
+/**
+ * Load human-verified examples for a tenant from the database
+ * @param {Object} supabase - Supabase client
+ * @param {string} tenantId - Tenant ID
+ * @returns {Array} Examples { ticketId, subject, body, category, priority }
+ */
+async function loadExamplePool(supabase, tenantId) {
+  const { data: rows, error } = await supabase
+    .from('classifications')
+    .select(`
+      ticket_id,
+      predicted_category,
+      predicted_priority,
+      was_correct,
+      corrected_category,
+      priority_was_correct,
+      corrected_priority,
+      tickets!inner(tenant_id, subject, body, priority)
+    `)
+    .eq('tickets.tenant_id', tenantId)
+    .not('was_correct', 'is', null)
+    .order('corrected_at', { ascending: false })
+    .limit(POOL_SIZE * 2);
+
+  if (error) throw error;
+
+  const seen = new Set();
+  const pool = [];
+
+  for (const row of rows || []) {
+    if (seen.has(row.ticket_id)) continue;
+    seen.add(row.ticket_id);
+
+    const category = row.was_correct ? row.predicted_category : row.corrected_category;
+    if (!category) continue;
+
+    let priority = row.tickets.priority;
+    if (row.priority_was_correct === true) priority = row.predicted_priority;
+    if (row.priority_was_correct === false) priority = row.corrected_priority;
+
+    pool.push({
+      ticketId: row.ticket_id,
+      subject: row.tickets.subject,
+      body: (row.tickets.body || '').substring(0, EXAMPLE_BODY_LENGTH),
+      category,
+      priority
+    });
+
+    if (pool.length >= POOL_SIZE) break;
+  }
+
+  return pool;
+}
+
+/**
+ * Get a tenant's example pool, cached in Redis
+ * @param {Object} redis - Redis client
+ * @param {Object} supabase - Supabase client
+ * @param {string} tenantId - Tenant ID
+ * @returns {Array} Examples
+ */
+async function getExamplePool(redis, supabase, tenantId) {
+  const cached = await redis.get(cacheKey(tenantId));
+  if (cached) return JSON.parse(cached);
+
+  const pool = await loadExamplePool(supabase, tenantId);
+  await redis.setex(cacheKey(tenantId), CACHE_TTL_SECONDS, JSON.stringify(pool));
+
+  return pool;
+}
+
+/**
+ * Drop a tenant's cached examples so the next classification sees new corrections
+ * @param {Object} redis - Redis client
+ * @param {string} tenantId - Tenant ID
+ */
+async function invalidateExamplePool(redis, tenantId) {
+  await redis.del(cacheKey(tenantId));
+}
+
+/**
+ * Split text into lowercase words worth comparing
+ * @param {string} text - Text
+ * @returns {Set<string>} Words
+ */
+function tokenize(text) {
+  return new Set(
+    String(text || '')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(word => word.length > 3)
+  );
+}
+
+/**
+ * Pick the examples most similar to a ticket, spread across categories
+ * @param {Array} pool - Examples from getExamplePool()
+ * @param {Object} ticket - Ticket being classified
+ * @param {number} [count] - Number of examples
+ * @returns {Array} Examples
+ */
+function selectExamples(pool, ticket, count = DEFAULT_EXAMPLE_COUNT) {
+  if (!pool || pool.length === 0 || count <= 0) return [];
+
+  const ticketWords = tokenize(`${ticket.subject} ${ticket.body}`);
+
+  const scored = pool
+    .filter(example => example.ticketId !== ticket.id)
+    .map(example => {
+      const exampleWords = tokenize(`${example.subject} ${example.body}`);
+      let overlap = 0;
+      for (const word of exampleWords) {
+        if (ticketWords.has(word)) overlap++;
+      }
+      return { example, score: overlap };
+    })
+    .sort((a, b) => b.score - a.score);
+
+  const selected = [];
+  const perCategory = {};
+
+  for (const { example } of scored) {
+    if ((perCategory[example.category] || 0) >= MAX_PER_CATEGORY) continue;
+
+    perCategory[example.category] = (perCategory[example.category] || 0) + 1;
+    selected.push(example);
+
+    if (selected.length >= count) break;
+  }
+
+  return selected;
+}
+
+/**
+ * Format examples for the classification prompt
+ * @param {Array} examples - Selected examples
+ * @returns {string} Prompt text ('' when there are none)
+ */
+function buildExamplesPrompt(examples) {
+  if (!examples || examples.length === 0) return '';
+
+  const formatted = examples.map((example, index) =>
+    `Example ${index + 1}:
+Subject: ${wrapUntrusted('subject', example.subject)}
+Body: ${wrapUntrusted('body', example.body)}
+Category: ${example.category}
+Priority: ${example.priority}`
+  ).join('\n\n');
+
+  return `Previously labelled tickets from this organization (verified by agents):
+
+${formatted}`;
+}
+
+module.exports = {
+  DEFAULT_EXAMPLE_COUNT,
+  loadExamplePool,
+  getExamplePool,
+  invalidateExamplePool,
+  selectExamples,
+  buildExamplesPrompt
+};
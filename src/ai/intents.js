@@ -0,0 +1,107 @@
+/**
+ * Intents for TicketAI
+ * The concrete thing a customer wants done, detected alongside the category,
+ * and the tenant-configured next action for it (a template to send, a macro
+ * to run or a team/agent to route to).
+ */
+
+const INTENTS = [
+  { key: 'refund_request', description: 'Wants money back for a charge, order or subscription' },
+  { key: 'password_reset', description: 'Cannot log in and needs a password reset' },
+  { key: 'cancel_subscription', description: 'Wants to cancel a subscription or close an account' },
+  { key: 'shipping_status', description: 'Asks where an order is or when it will arrive' },
+  { key: 'upgrade_plan', description: 'Wants to move to a higher plan or buy more seats' }
+];
+
+// Anything that is not one of the intents above
+const OTHER_INTENT = 'other';
+
+const INTENT_KEYS = [...INTENTS.map(intent => intent.key), OTHER_INTENT];
+
+// Free-form answers from older prompts or chatty models -> intent.
+// Keywords are whole words (or phrases of whole words), checked in this order.
+const INTENT_KEYWORDS = {
+  refund_request: ['refund', 'refunds', 'money back', 'chargeback', 'reimburse', 'reimbursement'],
+  password_reset: ['password', 'passwd', 'locked out', 'login', 'log in'],
+  cancel_subscription: ['cancel', 'cancellation', 'unsubscribe', 'close account'],
+  upgrade_plan: ['upgrade', 'more seats', 'higher plan'],
+  shipping_status: [
+    'ship', 'shipping', 'shipped', 'shipment', 'deliver', 'delivery', 'delivered',
+    'tracking', 'track order', 'where is my order'
+  ]
+};
+
+const ACTION_TYPES = ['template', 'macro', 'route'];
+
+/**
+ * Format intents for a prompt
+ * @returns {string} Prompt text
+ */
+function buildIntentsPrompt() {
+  return `Intents:\n${INTENTS.map(intent => `- ${intent.key}: ${intent.description}`).join('\n')}\n- ${OTHER_INTENT}: None of the above`;
+}
+
+/**
+ * Map a model answer to a known intent
+ * @param {string} value - Intent returned by the model
+ * @returns {string|null} Intent key, "other", or null when the model gave none
+ */
+function normalizeIntent(value) {
+  const text = String(value ?? '').trim().toLowerCase();
+  if (!text) return null;
+
+  const key = text.replace(/[\s-]+/g, '_');
+  if (INTENT_KEYS.includes(key)) return key;
+
+  // Compare whole words so "membership" does not read as "ship"
+  const words = ` ${text.split(/[^\p{L}\p{N}]+/u).filter(Boolean).join(' ')} `;
+  const match = Object.keys(INTENT_KEYWORDS).find(intent =>
+    INTENT_KEYWORDS[intent].some(keyword => words.includes(` ${keyword} `))
+  );
+
+  return match || OTHER_INTENT;
+}
+
+/**
+ * Get a tenant's next action per intent, skipping malformed entries
+ * @param {Object} [settings] - Tenant settings (settings.intentActions)
+ * @returns {Object} Intent key -> action
+ */
+function getIntentActions(settings) {
+  const configured = settings?.intentActions || {};
+  const actions = {};
+
+  for (const [intent, action] of Object.entries(configured)) {
+    if (!INTENT_KEYS.includes(intent) || !ACTION_TYPES.includes(action?.type)) continue;
+    if (action.type === 'template' && !action.templateId) continue;
+    if (action.type === 'route' && !action.teamId && !action.userId) continue;
+
+    actions[intent] = action;
+  }
+
+  return actions;
+}
+
+/**
+ * Get the suggested next action for a ticket's intent
+ * @param {Object} [settings] - Tenant settings
+ * @param {string} [intent] - Ticket intent
+ * @returns {Object|null} { intent, type, ... } as configured
+ */
+function resolveNextAction(settings, intent) {
+  if (!intent) return null;
+
+  const action = getIntentActions(settings)[intent];
+  return action ? { intent, ...action } : null;
+}
+
+module.exports = {
+  INTENTS,
+  INTENT_KEYS,
+  OTHER_INTENT,
+  ACTION_TYPES,
+  buildIntentsPrompt,
+  normalizeIntent,
+  getIntentActions,
+  resolveNextAction
+};
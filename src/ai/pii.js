@@ -0,0 +1,265 @@
+/**
+ * PII Redaction for TicketAI
+ * Deterministic (regex + checksum) detection of sensitive data customers paste
+ * into tickets. Sensitive spans are replaced with placeholders such as
+ * [CARD_1] before text is sent to an AI provider.
+ */
+
+const PII_TYPES = ['card', 'ssn', 'iban', 'password', 'email', 'phone'];
+
+// Redacted unless a tenant configures its own list
+const DEFAULT_TYPES = ['card', 'ssn', 'iban', 'password'];
+
+// Types whose original value may be put back into generated text
+const SAFE_TYPES = ['email', 'phone'];
+
+const PATTERNS = {
+  card: /\b\d(?:[ -]?\d){12,18}\b/g,
+  ssn: /\b(?!000|666|9\d\d)\d{3}-(?!00)\d{2}-(?!0000)\d{4}\b/g,
+  iban: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}\b/g,
+  // Only the secret itself is redacted, not the "password:" label
+  password: /\b(?:password|passwd|pwd|passcode|pin)\b\s*(?:is|:|=)\s*("[^"]+"|'[^']+'|[^\s,;]+)/gi,
+  email: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g,
+  phone: /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)[\s.-]?)?\d{3,4}[\s.-]\d{3,4}(?:[\s.-]\d{2,4})?\b/g
+};
+
+/**
+ * Luhn checksum used by payment card numbers
+ * @param {string} digits - Digits only
+ * @returns {boolean}
+ */
+function isValidLuhn(digits) {
+  let sum = 0;
+  let double = false;
+
+  for (let i = digits.length - 1; i >= 0; i--) {
+    let digit = Number(digits[i]);
+    if (double) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+    double = !double;
+  }
+
+  return sum % 10 === 0;
+}
+
+/**
+ * ISO 13616 mod-97 checksum used by IBANs
+ * @param {string} iban - IBAN without spaces
+ * @returns {boolean}
+ */
+function isValidIban(iban) {
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  let remainder = 0;
+
+  for (const char of rearranged) {
+    const value = /\d/.test(char) ? char : String(char.charCodeAt(0) - 55);
+    for (const digit of value) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+
+  return remainder === 1;
+}
+
+/**
+ * Check a regex match is really of the given type
+ * @param {string} type - PII type
+ * @param {string} value - Matched text
+ * @returns {boolean}
+ */
+function isValidMatch(type, value) {
+  if (type === 'card') {
+    const digits = value.replace(/\D/g, '');
+    return digits.length >= 13 && digits.length <= 19 && isValidLuhn(digits);
+  }
+  if (type === 'iban') {
+    return isValidIban(value.replace(/\s/g, ''));
+  }
+  if (type === 'phone') {
+    return value.replace(/\D/g, '').length >= 7;
+  }
+  return true;
+}
+
+/**
+ * Find PII spans in text
+ * @param {string} text - Text to scan
+ * @param {Array<string>} [types] - Types to look for
+ * @returns {Array} Non-overlapping spans { type, start, end, value }, in order
+ */
+function detect(text, types = DEFAULT_TYPES) {
+  if (typeof text !== 'string' || !text) return [];
+
+  const spans = [];
+
+  for (const type of types) {
+    const pattern = PATTERNS[type];
+    if (!pattern) continue;
+
+    for (const match of text.matchAll(pattern)) {
+      // For passwords the secret is the capture group
+      const value = match[1] || match[0];
+      const start = match.index + match[0].length - value.length;
+
+      if (isValidMatch(type, value)) {
+        spans.push({ type, start, end: start + value.length, value });
+      }
+    }
+  }
+
+  // Keep the earliest, then longest, span where types overlap
+  spans.sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
+
+  const result = [];
+  for (const span of spans) {
+    const previous = result[result.length - 1];
+    if (!previous || span.start >= previous.end) result.push(span);
+  }
+
+  return result;
+}
+
+/**
+ * Create a vault that maps placeholders to original values for one request
+ * @returns {Object} Vault
+ */
+function createVault() {
+  return {
+    byValue: new Map(),
+    byPlaceholder: new Map(),
+    counters: {}
+  };
+}
+
+/**
+ * Replace PII in text with placeholders
+ * The same value always gets the same placeholder within a vault.
+ * @param {string} text - Text to redact
+ * @param {Object} options - Options
+ * @param {Array<string>} [options.types] - Types to redact
+ * @param {Object} options.vault - Vault from createVault()
+ * @returns {string} Redacted text
+ */
+function redact(text, { types = DEFAULT_TYPES, vault }) {
+  const spans = detect(text, types);
+  if (spans.length === 0) return text;
+
+  let result = '';
+  let cursor = 0;
+
+  for (const span of spans) {
+    const key = `${span.type}|${span.value}`;
+    let placeholder = vault.byValue.get(key);
+
+    if (!placeholder) {
+      vault.counters[span.type] = (vault.counters[span.type] || 0) + 1;
+      placeholder = `[${span.type.toUpperCase()}_${vault.counters[span.type]}]`;
+      vault.byValue.set(key, placeholder);
+      vault.byPlaceholder.set(placeholder, { type: span.type, value: span.value });
+    }
+
+    result += text.slice(cursor, span.start) + placeholder;
+    cursor = span.end;
+  }
+
+  return result + text.slice(cursor);
+}
+
+/**
+ * Mask a sensitive value for display (e.g. "**** 4242")
+ * @param {string} type - PII type
+ * @param {string} value - Original value
+ * @returns {string} Masked value
+ */
+function mask(type, value) {
+  if (type === 'password') return '[redacted]';
+
+  const lastFour = value.replace(/[^A-Za-z0-9]/g, '').slice(-4);
+  return `**** ${lastFour}`;
+}
+
+/**
+ * Put values back in place of placeholders in model output
+ * @param {string} text - Model output
+ * @param {Object} vault - Vault used for the request
+ * @param {string} [mode] - "safe" restores emails/phones and masks the rest,
+ *                          "all" restores everything, "none" leaves placeholders
+ * @returns {string} Text
+ */
+function restore(text, vault, mode = 'safe') {
+  if (typeof text !== 'string' || mode === 'none' || vault.byPlaceholder.size === 0) {
+    return text;
+  }
+
+  return text.replace(/\[([A-Z]+)_(\d+)\]/g, (placeholder) => {
+    const entry = vault.byPlaceholder.get(placeholder);
+    if (!entry) return placeholder;
+
+    if (mode === 'all' || SAFE_TYPES.includes(entry.type)) return entry.value;
+    return mask(entry.type, entry.value);
+  });
+}
+
+/**
+ * Count redacted values by type
+ * @param {Object} vault - Vault
+ * @returns {Object} e.g. { card: 1, password: 1 }
+ */
+function summarize(vault) {
+  return { ...vault.counters };
+}
+
+/**
+ * Get a tenant's redaction policy
+ * Redaction is on by default. Tenants can turn it off or change the types,
+ * unless they have made it mandatory (e.g. for regulated plans), in which
+ * case the default types are always included.
+ * @param {Object} [settings] - Tenant settings
+ * @returns {Object} { enabled, mandatory, types }
+ */
+function getPolicy(settings) {
+  const config = settings?.pii || {};
+  const mandatory = config.mandatory === true;
+  const configured = Array.isArray(config.types)
+    ? config.types.filter(type => PII_TYPES.includes(type))
+    : DEFAULT_TYPES;
+
+  return {
+    enabled: mandatory || config.enabled !== false,
+    mandatory,
+    types: mandatory ? [...new Set([...DEFAULT_TYPES, ...configured])] : configured
+  };
+}
+
+/**
+ * Count PII in text without redacting it
+ * @param {string} text - Text to scan
+ * @param {Object} [settings] - Tenant settings
+ * @returns {Object} Counts by type (empty when redaction is disabled)
+ */
+function countPii(text, settings) {
+  const policy = getPolicy(settings);
+  if (!policy.enabled) return {};
+
+  const counts = {};
+  for (const span of detect(text, policy.types)) {
+    counts[span.type] = (counts[span.type] || 0) + 1;
+  }
+
+  return counts;
+}
+
+module.exports = {
+  PII_TYPES,
+  DEFAULT_TYPES,
+  detect,
+  createVault,
+  redact,
+  restore,
+  summarize,
+  getPolicy,
+  countPii
+};
@@ -0,0 +1,432 @@
+/**
+ * AI Provider Registry for TicketAI
+ * Every AI feature talks to its model through a provider resolved here, so
+ * classification, suggestions and summaries always agree on vendor and model.
+ */
+const OpenAI = require('openai');
+const pii = require('./pii');
+
+const registry = new Map();
+const clientCache = new Map();
+
+// Requests per minute allowed by each provider unless overridden
+const DEFAULT_RATE_LIMITS = {
+  openai: 500,
+  kimi: 200,
+  openai_compatible: 60,
+  stub: 0 // unlimited
+};
+
+/**
+ * Requests-per-minute limit for a provider
+ * @param {string} name - Provider name
+ * @param {Object} config - Provider config from tenant settings
+ * @returns {number} Limit (0 = unlimited)
+ */
+function getRateLimit(name, config) {
+  const envLimit = parseInt(process.env[`${name.toUpperCase()}_RATE_LIMIT_RPM`]);
+  return config.rateLimitRpm ?? (Number.isNaN(envLimit) ? DEFAULT_RATE_LIMITS[name] : envLimit);
+}
+
+/**
+ * Register a provider factory
+ * @param {string} name - Provider name used in settings (e.g. "openai")
+ * @param {Function} factory - (config) => provider with a complete() method
+ */
+function registerProvider(name, factory) {
+  registry.set(name, factory);
+}
+
+/**
+ * Get a cached OpenAI SDK client for a key/base URL pair
+ * @param {Object} options - Client options
+ * @param {string} options.apiKey - API key
+ * @param {string} [options.baseURL] - Base URL for OpenAI-compatible APIs
+ * @returns {OpenAI} Client
+ */
+function getClient({ apiKey, baseURL }) {
+  const cacheKey = `${baseURL || 'default'}|${apiKey || ''}`;
+
+  if (!clientCache.has(cacheKey)) {
+    clientCache.set(cacheKey, new OpenAI({ apiKey, baseURL }));
+  }
+
+  return clientCache.get(cacheKey);
+}
+
+/**
+ * Build a provider backed by any OpenAI-compatible chat completions API
+ * @param {Object} params - Provider parameters
+ * @param {string} params.name - Provider name reported in results
+ * @param {string} params.model - Model name
+ * @param {string} params.apiKey - API key
+ * @param {string} [params.baseURL] - Base URL
+ * @param {number} [params.rateLimitRpm] - Requests per minute (0 = unlimited)
+ * @returns {Object} Provider
+ */
+function createOpenAICompatibleProvider({ name, model, apiKey, baseURL, rateLimitRpm = 0 }) {
+  return {
+    name,
+    model,
+    rateLimitRpm,
+
+    async complete({ messages, temperature = 0.3, maxTokens, json = false }) {
+      const client = getClient({ apiKey, baseURL });
+
+      const response = await client.chat.completions.create({
+        model,
+        messages,
+        temperature,
+        ...(maxTokens && { max_tokens: maxTokens }),
+        ...(json && { response_format: { type: 'json_object' } })
+      });
+
+      return {
+        content: response.choices[0].message.content,
+        usage: {
+          promptTokens: response.usage?.prompt_tokens || 0,
+          completionTokens: response.usage?.completion_tokens || 0,
+          totalTokens: response.usage?.total_tokens || 0
+        },
+        model: response.model || model,
+        provider: name
+      };
+    }
+  };
+}
+
+// Keywords used by the stub provider to produce stable, plausible answers
+const STUB_CATEGORY_KEYWORDS = {
+  billing: ['invoice', 'charge', 'refund', 'payment', 'billing', 'price'],
+  bug: ['bug', 'crash', 'broken', 'error', 'exception'],
+  technical: ['install', 'api', 'integration', 'configure', 'timeout', 'slow'],
+  account: ['password', 'login', 'account', 'sign in', 'locked'],
+  feature_request: ['feature', 'would be nice', 'suggestion', 'please add']
+};
+
+const STUB_INTENT_KEYWORDS = {
+  refund_request: ['refund', 'money back'],
+  password_reset: ['password', 'locked out'],
+  cancel_subscription: ['cancel'],
+  shipping_status: ['shipping', 'tracking', 'delivery'],
+  upgrade_plan: ['upgrade']
+};
+
+const STUB_NEGATIVE_WORDS = ['angry', 'terrible', 'awful', 'unacceptable', 'worst', 'frustrated', 'broken'];
+const STUB_POSITIVE_WORDS = ['thanks', 'thank you', 'great', 'love', 'awesome', 'appreciate'];
+const STUB_SPAM_WORDS = ['lottery', 'winner', 'crypto', 'viagra', 'click here', 'seo services'];
+const STUB_LANGUAGE_WORDS = {
+  es: ['hola', 'gracias', 'pedido', 'factura', 'por favor'],
+  fr: ['bonjour', 'merci', 'commande', 'facture', "s'il vous"],
+  de: ['hallo', 'danke', 'bestellung', 'rechnung', 'bitte']
+};
+
+/**
+ * Score text with the stub keyword lists
+ * @param {string} text - Lowercased text
+ * @returns {number} Score between -1 and 1
+ */
+function stubSentimentScore(text) {
+  const negative = STUB_NEGATIVE_WORDS.filter(word => text.includes(word)).length;
+  const positive = STUB_POSITIVE_WORDS.filter(word => text.includes(word)).length;
+  return Math.max(-1, Math.min(1, (positive - negative) * 0.4));
+}
+
+/**
+ * Produce a deterministic response for a task without any network access
+ * @param {string} task - AI task name
+ * @param {string} text - Prompt text sent by the caller
+ * @returns {Object|string} Response payload
+ */
+function stubRespond(task, text) {
+  // Only look at the ticket itself, not the instructions listing every label
+  const lower = (text.split(/Ticket Subject:/i)[1] || text)
+    .split(/Respond in JSON format:/i)[0]
+    .toLowerCase();
+  const score = stubSentimentScore(lower);
+
+  switch (task) {
+    case 'classify': {
+      const category = Object.keys(STUB_CATEGORY_KEYWORDS).find(key =>
+        STUB_CATEGORY_KEYWORDS[key].some(keyword => lower.includes(keyword))
+      ) || 'general';
+      const priority = lower.includes('urgent') || lower.includes('asap')
+        ? 'urgent'
+        : score < 0 ? 'high' : 'medium';
+      const label = score <= -0.6 ? 'very_negative'
+        : score < 0 ? 'negative'
+          : score > 0 ? 'positive' : 'neutral';
+
+      return {
+        category,
+        priority,
+        sentiment: { label, score },
+        confidence: { category: 0.8, priority: 0.7, sentiment: 0.7 },
+        intent: Object.keys(STUB_INTENT_KEYWORDS).find(key =>
+          STUB_INTENT_KEYWORDS[key].some(keyword => lower.includes(keyword))
+        ) || 'other',
+        reasoning: 'Stub provider keyword classification'
+      };
+    }
+    case 'sentiment':
+      return {
+        score,
+        magnitude: Math.abs(score),
+        emotions: {
+          joy: score > 0 ? score : 0,
+          anger: score < 0 ? -score : 0,
+          sadness: 0,
+          fear: 0,
+          disgust: 0
+        }
+      };
+    case 'language':
+      return Object.keys(STUB_LANGUAGE_WORDS).find(code =>
+        STUB_LANGUAGE_WORDS[code].some(word => lower.includes(word))
+      ) || 'en';
+    case 'translate':
+      return text;
+    case 'entities':
+      return {
+        orderIds: text.match(/\b(?:order|#)\s*#?(\d{4,})\b/gi)?.map(m => m.replace(/\D/g, '')) || [],
+        accountNumbers: [],
+        emails: text.match(/[\w.+-]+@[\w-]+\.[\w.-]+/g) || [],
+        phones: [],
+        products: [],
+        dates: []
+      };
+    case 'analyze':
+      return {
+        ...stubRespond('classify', text),
+        ...stubRespond('sentiment', text),
+        language: stubRespond('language', text),
+        entities: stubRespond('entities', text),
+        summary: 'Stub provider summary'
+      };
+    case 'handoff':
+      return {
+        summary: 'Stub provider handoff summary',
+        tried: [],
+        pending: [],
+        customerMood: score < 0 ? 'frustrated' : score > 0 ? 'satisfied' : 'neutral'
+      };
+    case 'spam': {
+      const hits = STUB_SPAM_WORDS.filter(word => lower.includes(word));
+      return {
+        score: hits.length > 0 ? 0.95 : 0.05,
+        reason: hits.length > 0 ? `Stub provider spam words: ${hits.join(', ')}` : 'Stub provider: no spam words'
+      };
+    }
+    case 'reply':
+      return 'Thank you for contacting us. We are looking into your request and will follow up shortly.';
+    default:
+      return `[stub:${task}] ${text.substring(0, 200)}`;
+  }
+}
+
+/**
+ * Build the deterministic local provider used in tests and offline CI
+ * @param {Object} params - Provider parameters
+ * @param {string} params.model - Model name reported in results
+ * @returns {Object} Provider
+ */
+function createStubProvider({ model, rateLimitRpm = 0 }) {
+  return {
+    name: 'stub',
+    model,
+    rateLimitRpm,
+
+    async complete({ messages, json = false, task = 'chat' }) {
+      const text = messages.map(m => m.content).join('\n');
+      const payload = stubRespond(task, messages[messages.length - 1]?.content || '');
+      const content = json || typeof payload !== 'string'
+        ? JSON.stringify(payload)
+        : payload;
+
+      const promptTokens = Math.ceil(text.length / 4);
+      const completionTokens = Math.ceil(content.length / 4);
+
+      return {
+        content,
+        usage: {
+          promptTokens,
+          completionTokens,
+          totalTokens: promptTokens + completionTokens
+        },
+        model,
+        provider: 'stub'
+      };
+    }
+  };
+}
+
+registerProvider('openai', (config) => createOpenAICompatibleProvider({
+  name: 'openai',
+  model: config.model || process.env.OPENAI_MODEL || 'gpt-4',
+  apiKey: process.env.OPENAI_API_KEY,
+  baseURL: process.env.OPENAI_BASE_URL,
+  rateLimitRpm: getRateLimit('openai', config)
+}));
+
+registerProvider('kimi', (config) => createOpenAICompatibleProvider({
+  name: 'kimi',
+  model: config.model || process.env.KIMI_MODEL || 'moonshot-v1-8k',
+  apiKey: process.env.KIMI_API_KEY,
+  baseURL: process.env.KIMI_BASE_URL || 'https://api.moonshot.cn/v1',
+  rateLimitRpm: getRateLimit('kimi', config)
+}));
+
+// Env vars a tenant may name as its openai_compatible key. Anything else
+// (JWT_SECRET, SUPABASE_KEY, ...) would be sent to the tenant's baseURL.
+const TENANT_KEY_ENV_PATTERN = /^AI_API_KEY(_[A-Z0-9_]+)?$/;
+
+registerProvider('openai_compatible', (config) => {
+  const baseURL = config.baseURL || process.env.AI_BASE_URL;
+  if (!baseURL) {
+    throw new Error('openai_compatible provider requires a baseURL');
+  }
+
+  const apiKeyEnv = config.apiKeyEnv || 'AI_API_KEY';
+  if (!TENANT_KEY_ENV_PATTERN.test(apiKeyEnv)) {
+    throw new Error(`apiKeyEnv must be AI_API_KEY or start with AI_API_KEY_ (got ${apiKeyEnv})`);
+  }
+
+  return createOpenAICompatibleProvider({
+    name: 'openai_compatible',
+    model: config.model || process.env.AI_MODEL,
+    // Keys never live in tenant settings; settings may only name the env var
+    apiKey: process.env[apiKeyEnv],
+    baseURL,
+    rateLimitRpm: getRateLimit('openai_compatible', config)
+  });
+});
+
+registerProvider('stub', (config) => createStubProvider({
+  model: config.model || 'stub-v1',
+  rateLimitRpm: getRateLimit('stub', config)
+}));
+
+/**
+ * Name of the provider used when a tenant has not chosen one
+ * @returns {string} Provider name
+ */
+function getDefaultProviderName() {
+  if (process.env.AI_PROVIDER) return process.env.AI_PROVIDER;
+
+  // Prefer Kimi if key is available (better for international/Chinese support)
+  if (process.env.KIMI_API_KEY) return 'kimi';
+
+  return 'openai';
+}
+
+/**
+ * Resolve the provider for a tenant and task
+ * @param {Object} [aiSettings] - tenants.settings.ai
+ * @param {string} [aiSettings.provider] - Provider name
+ * @param {string} [aiSettings.model] - Model for every task
+ * @param {Object} [aiSettings.models] - Per-task model overrides, e.g. { reply: "gpt-4o" }
+ * @param {string} [aiSettings.baseURL] - Base URL for openai_compatible
+ * @param {string} [aiSettings.apiKeyEnv] - Env var holding the openai_compatible key
+ *   (AI_API_KEY or AI_API_KEY_*)
+ * @param {number} [aiSettings.rateLimitRpm] - Requests per minute allowed by the account
+ * @param {string} [task] - AI task name
+ * @returns {Object} Provider
+ */
+function resolveProvider(aiSettings = {}, task) {
+  const name = aiSettings.provider || getDefaultProviderName();
+  const factory = registry.get(name === 'moonshot' ? 'kimi' : name);
+
+  if (!factory) {
+    throw new Error(`Unknown AI provider: ${name}`);
+  }
+
+  return factory({
+    ...aiSettings,
+    model: aiSettings.models?.[task] || aiSettings.model
+  });
+}
+
+/**
+ * Run a chat completion through the provider configured for a tenant
+ * @param {Object} params - Completion parameters
+ * @param {string} params.task - AI task name (classify, sentiment, reply, ...)
+ * @param {Array} params.messages - Chat messages
+ * @param {number} [params.temperature] - Sampling temperature
+ * @param {number} [params.maxTokens] - Completion token limit
+ * @param {boolean} [params.json] - Request a JSON object response
+ * @param {Object} [params.settings] - Tenant settings
+ * @param {string} [params.restorePii] - How to restore redacted values in the
+ *   output: "safe" (default), "all" or "none" (see pii.restore)
+ * @param {Object} [params.meter] - Usage meter (see usage.createMeter); checks
+ *   the tenant's budget before the call and records tokens and cost after it
+ * @returns {Object} { content, usage, model, provider, redactions }
+ * @throws {BudgetExceededError} When the meter rejects an optional task
+ */
+async function complete({ meter, ...params }) {
+  if (meter) await meter.check(params.task);
+
+  const response = await runCompletion(params);
+
+  if (meter) await meter.record(params.task, response);
+
+  return response;
+}
+
+/**
+ * Run a completion with PII redaction applied (see complete())
+ * @param {Object} params - Completion parameters
+ * @returns {Object} { content, usage, model, provider, redactions }
+ */
+async function runCompletion({ task, messages, temperature, maxTokens, json, settings, restorePii = 'safe' }) {
+  const provider = resolveProvider(settings?.ai, task);
+  const policy = pii.getPolicy(settings);
+
+  if (!policy.enabled) {
+    const response = await provider.complete({ task, messages, temperature, maxTokens, json });
+    return { ...response, redactions: {} };
+  }
+
+  // Sensitive values never leave the process; the model sees placeholders
+  const vault = pii.createVault();
+  const redactedMessages = messages.map(message => ({
+    ...message,
+    content: pii.redact(message.content, { types: policy.types, vault })
+  }));
+
+  const response = await provider.complete({
+    task,
+    messages: redactedMessages,
+    temperature,
+    maxTokens,
+    json
+  });
+
+  return {
+    ...response,
+    content: pii.restore(response.content, vault, restorePii),
+    redactions: pii.summarize(vault)
+  };
+}
+
+/**
+ * Describe the provider/model a tenant's task would use
+ * @param {Object} [settings] - Tenant settings
+ * @param {string} [task] - AI task name
+ * @returns {Object} { provider, model, rateLimitRpm }
+ */
+function describeProvider(settings, task) {
+  const provider = resolveProvider(settings?.ai, task);
+  return {
+    provider: provider.name,
+    model: provider.model,
+    rateLimitRpm: provider.rateLimitRpm
+  };
+}
+
+module.exports = {
+  registerProvider,
+  resolveProvider,
+  complete,
+  describeProvider,
+  getDefaultProviderName
+};
@@ -0,0 +1,196 @@
+/**
+ * Response Cache for TicketAI
+ * Auto-generated notifications and spam bursts produce many tickets with the
+ * same text. Their model answers are cached in Redis by content hash, per
+ * tenant, so duplicates reuse the prior result instead of calling the model.
+ */
+const crypto = require('crypto');
+
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+const MODES = ['exact', 'normalized'];
+
+// Removed in normalized mode so "Hi Anna, order #1234 ..." matches "Hello, order #5678 ..."
+const GREETING_PATTERN = /^\s*(?:hi|hello|hey|dear|good (?:morning|afternoon|evening)|greetings)\b[^\n,!.]{0,40}(?:[,!.]|\n)/i;
+const SIGN_OFF_PATTERN = /\n\s*(?:thanks|thank you|regards|best regards|kind regards|best|cheers|sincerely)\b[\s\S]{0,80}$/i;
+const ORDER_NUMBER_PATTERN = /#?\b[a-z]{0,5}[-_]?\d[\d-]{3,}\b/gi;
+
+// Per tenant and task counters since process start
+const metrics = new Map();
+const metricsSince = new Date().toISOString();
+
+/**
+ * Count a cache outcome for a tenant and task
+ * @param {string} tenantId - Tenant ID
+ * @param {string} task - AI task name
+ * @param {string} outcome - hits or misses
+ */
+function track(tenantId, task, outcome) {
+  const key = `${tenantId}:${task}`;
+  if (!metrics.has(key)) {
+    metrics.set(key, { tenantId, task, hits: 0, misses: 0 });
+  }
+  metrics.get(key)[outcome]++;
+}
+
+/**
+ * Get a tenant's cache settings
+ * @param {Object} [settings] - Tenant settings
+ * @returns {Object} { enabled, ttlSeconds, mode }
+ */
+function getCacheSettings(settings) {
+  const cache = settings?.ai?.cache || {};
+
+  return {
+    enabled: cache.enabled !== false,
+    ttlSeconds: Number.isInteger(cache.ttlSeconds) && cache.ttlSeconds > 0
+      ? cache.ttlSeconds
+      : DEFAULT_TTL_SECONDS,
+    mode: MODES.includes(cache.mode) ? cache.mode : 'exact'
+  };
+}
+
+/**
+ * Reduce ticket text to what decides its classification: no greeting or
+ * sign-off, order numbers replaced, case and whitespace folded
+ * @param {string} text - Ticket text
+ * @returns {string} Normalized text
+ */
+function normalizeText(text) {
+  return String(text ?? '')
+    .replace(GREETING_PATTERN, '')
+    .replace(SIGN_OFF_PATTERN, '')
+    .replace(ORDER_NUMBER_PATTERN, '#')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Hash a ticket's content
+ * @param {Object} ticket - { subject, body }
+ * @param {string} mode - exact or normalized
+ * @returns {string} Hex digest
+ */
+function hashContent(ticket, mode) {
+  const prepare = mode === 'normalized' ? normalizeText : (text) => String(text ?? '');
+
+  return crypto
+    .createHash('sha256')
+    .update(`${prepare(ticket.subject)}\n\n${prepare(ticket.body)}`)
+    .digest('hex');
+}
+
+/**
+ * Create a response cache for one tenant.
+ * Pass it as `cache` to classify()/analyzeTicket().
+ * @param {Object} params - Parameters
+ * @param {Object} params.redis - Redis client
+ * @param {string} params.tenantId - Tenant ID
+ * @param {Object} [params.settings] - Tenant settings (settings.ai.cache)
+ * @returns {Object|null} Cache with get() and set(), or null when disabled
+ */
+function createCache({ redis, tenantId, settings }) {
+  const { enabled, ttlSeconds, mode } = getCacheSettings(settings);
+  if (!enabled || !redis) return null;
+
+  /**
+   * Anything that changes the answer for the same text is part of the key:
+   * task, model and the tenant's labels
+   */
+  const keyFor = (task, ticket, variant) => {
+    const scope = crypto
+      .createHash('sha256')
+      .update(JSON.stringify(variant || null))
+      .digest('hex')
+      .substring(0, 16);
+
+    return `ai:cache:${tenantId}:${task}:${mode}:${scope}:${hashContent(ticket, mode)}`;
+  };
+
+  return {
+    mode,
+
+    /**
+     * Look up a cached response. Redis errors count as a miss.
+     * @param {string} task - AI task name
+     * @param {Object} ticket - { subject, body }
+     * @param {*} [variant] - Model/taxonomy the answer depends on
+     * @returns {Object|null} { data, model, provider, cachedAt }
+     */
+    async get(task, ticket, variant) {
+      try {
+        const cached = await redis.get(keyFor(task, ticket, variant));
+        if (cached) {
+          track(tenantId, task, 'hits');
+          return JSON.parse(cached);
+        }
+      } catch (error) {
+        console.error('Response cache read error:', error);
+      }
+
+      track(tenantId, task, 'misses');
+      return null;
+    },
+
+    /**
+     * Store a validated response
+     * @param {string} task - AI task name
+     * @param {Object} ticket - { subject, body }
+     * @param {*} variant - Same value passed to get()
+     * @param {Object} response - completeJson() response
+     */
+    async set(task, ticket, variant, response) {
+      try {
+        await redis.setex(keyFor(task, ticket, variant), ttlSeconds, JSON.stringify({
+          data: response.data,
+          model: response.model,
+          provider: response.provider,
+          cachedAt: new Date().toISOString()
+        }));
+      } catch (error) {
+        console.error('Response cache write error:', error);
+      }
+    }
+  };
+}
+
+/**
+ * Get cache counters per task
+ * @param {string} [tenantId] - Only this tenant's lookups; omit for all tenants
+ * @returns {Object} { since, hits, misses, hitRate, tasks: [...] }
+ */
+function getMetrics(tenantId) {
+  const byTask = new Map();
+  for (const entry of metrics.values()) {
+    if (tenantId !== undefined && entry.tenantId !== tenantId) continue;
+
+    const totals = byTask.get(entry.task) || { task: entry.task, hits: 0, misses: 0 };
+    totals.hits += entry.hits;
+    totals.misses += entry.misses;
+    byTask.set(entry.task, totals);
+  }
+
+  const tasks = [...byTask.values()].map(entry => ({
+    ...entry,
+    hitRate: entry.hits / (entry.hits + entry.misses)
+  }));
+  const hits = tasks.reduce((sum, entry) => sum + entry.hits, 0);
+  const misses = tasks.reduce((sum, entry) => sum + entry.misses, 0);
+
+  return {
+    since: metricsSince,
+    hits,
+    misses,
+    hitRate: hits + misses > 0 ? hits / (hits + misses) : 0,
+    tasks
+  };
+}
+
+module.exports = {
+  DEFAULT_TTL_SECONDS,
+  getCacheSettings,
+  normalizeText,
+  hashContent,
+  createCache,
+  getMetrics
+};
@@ -2,53 +2,193 @@
  * Smart Routing Logic for TicketAI
  * Routes tickets to the best agent or team based on AI analysis
  */
+const { getAncestorKeys, PATH_SEPARATOR } = require('./taxonomy');
+const { getLanguageSkills } = require('./translator');
+const { isInjectionSuspected, INJECTION_TAG } = require('./prompt-safety');
+const { matchesConditions } = require('./conditions');
+
+// Map built-in categories to typical team skills
+const CATEGORY_TEAM_SKILLS = {
+  billing: ['billing', 'payments', 'finance'],
+  technical: ['technical', 'engineering', 'support'],
+  feature_request: ['product', 'feedback'],
+  bug: ['technical', 'engineering', 'qa'],
+  account: ['account', 'customer_success'],
+  general: ['support', 'general']
+};
+
+// Map built-in categories to agent skills
+const CATEGORY_AGENT_SKILLS = {
+  billing: ['billing', 'finance'],
+  technical: ['technical', 'engineering'],
+  feature_request: ['product'],
+  bug: ['technical', 'qa'],
+  account: ['account', 'customer_success']
+};
+
+/**
+ * Display name of an agent for traces
+ * @param {Object} agent - User row
+ * @returns {string} Name
+ */
+function agentName(agent) {
+  return [agent.first_name, agent.last_name].filter(Boolean).join(' ') || agent.email || agent.id;
+}
+
+/**
+ * Why an agent cannot take another ticket
+ * @param {Object} agent - User row (agent.presence is set when presence is tracked)
+ * @returns {string|null} offline, at_capacity or null when available
+ */
+function getUnavailableReason(agent) {
+  if (agent.presence === 'offline') return 'offline';
+  if ((agent.current_ticket_count || 0) >= (agent.max_tickets || 10)) return 'at_capacity';
+  return null;
+}
 
 /**
  * Route a ticket to the best agent/team
  * @param {Object} params - Routing parameters
  * @param {Object} params.ticket - Ticket data
- * @param {Array} params.agents - Available agents
+ * @param {Array} params.agents - Agents (offline and full ones are skipped)
  * @param {Array} params.teams - Available teams
  * @param {Array} params.rules - Routing rules
- * @returns {Object} Routing decision
+ * @param {Object} [params.taxonomy] - Tenant taxonomy from loadTaxonomy()
+ * @param {Object} [params.intentActions] - Tenant next actions per intent (intents.getIntentActions())
+ * @param {Object} [params.businessHours] - Tenant business hours (conditions.getBusinessHours())
+ * @param {Date} [params.now] - Time to evaluate time conditions at
+ * @returns {Object} Routing decision; `trace` lists every step that shaped it
  */
-async function route({ ticket, agents, teams, rules }) {
+async function route({ ticket, agents: allAgents, teams, rules, taxonomy, intentActions = {}, businessHours, now }) {
   const routing = {
     assignToUser: null,
     assignToTeam: null,
     setPriority: null,
     addTags: [],
+    ruleId: null,
     reason: '',
-    confidence: 0
+    confidence: 0,
+    trace: []
   };
+  const trace = routing.trace;
+
+  // Only agents who are signed in and below max_tickets are picked automatically
+  // (rules and intents naming an agent still apply)
+  const agents = [];
+  const unavailable = [];
+  for (const agent of allAgents || []) {
+    const reason = getUnavailableReason(agent);
+    if (reason) {
+      unavailable.push({ agentId: agent.id, name: agentName(agent), reason });
+    } else {
+      agents.push(agent);
+    }
+  }
+
+  trace.push({
+    step: 'availability',
+    available: agents.length,
+    unavailable,
+    summary: unavailable.length > 0
+      ? `${agents.length} agent(s) available, ${unavailable.length} skipped (offline or at capacity)`
+      : `${agents.length} agent(s) available`
+  });
 
   // Step 1: Apply routing rules first
-  const ruleMatch = applyRoutingRules(ticket, rules);
+  const { match: ruleMatch, evaluations } = evaluateRoutingRules(ticket, rules, { businessHours, now });
+  trace.push({
+    step: 'rules',
+    matchedRuleId: ruleMatch?.ruleId || null,
+    evaluations,
+    summary: ruleMatch
+      ? `Rule "${ruleMatch.ruleName}" matched`
+      : `No routing rule matched (${evaluations.length} evaluated)`
+  });
+
   if (ruleMatch) {
     routing.assignToTeam = ruleMatch.assignToTeam;
     routing.assignToUser = ruleMatch.assignToUser;
     routing.setPriority = ruleMatch.setPriority;
-    routing.addTags = ruleMatch.addTags || [];
+    routing.addTags = [...(ruleMatch.addTags || [])];
+    routing.ruleId = ruleMatch.ruleId;
     routing.reason = `Matched routing rule: ${ruleMatch.ruleName}`;
     routing.confidence = 0.9;
   }
 
+  // Step 1b: Intents the tenant sends to a specific team or agent
+  // (the intent comes from the model, which injected text may have steered)
+  const intentAction = intentActions[ticket.intent];
+  if (!ruleMatch && intentAction?.type === 'route' && isInjectionSuspected(ticket)) {
+    trace.push({
+      step: 'intent',
+      intent: ticket.intent,
+      skipped: 'injection_suspected',
+      summary: `Intent "${ticket.intent}" routing skipped: possible prompt injection`
+    });
+  } else if (!ruleMatch && intentAction?.type === 'route') {
+    routing.assignToTeam = intentAction.teamId || null;
+    routing.assignToUser = intentAction.userId || null;
+    routing.reason = `Routed by intent: ${ticket.intent}`;
+    trace.push({
+      step: 'intent',
+      intent: ticket.intent,
+      teamId: routing.assignToTeam,
+      userId: routing.assignToUser,
+      summary: `Intent "${ticket.intent}" routes to a configured team/agent`
+    });
+  }
+
   // Step 2: If no team assigned, route by category
-  if (!routing.assignToTeam && ticket.category) {
-    const teamByCategory = findTeamByCategory(ticket.category, teams);
-    if (teamByCategory) {
-      routing.assignToTeam = teamByCategory.id;
-      routing.reason = routing.reason || `Routed to ${teamByCategory.name} team based on category`;
+  // (a failed classification means the category is not an AI result to trust)
+  if (!routing.assignToTeam && ticket.category && ticket.ai_status !== 'failed') {
+    const lookup = explainTeamByCategory(ticket.category, teams, taxonomy);
+    trace.push({
+      step: 'category',
+      category: ticket.category,
+      teamId: lookup.team?.id || null,
+      teamName: lookup.team?.name || null,
+      via: lookup.via,
+      matchedKey: lookup.key,
+      summary: lookup.team
+        ? `Category "${ticket.category}" -> ${lookup.team.name} team (${lookup.via})`
+        : `No team found for category "${ticket.category}"`
+    });
+
+    if (lookup.team) {
+      routing.assignToTeam = lookup.team.id;
+      routing.reason = routing.reason || `Routed to ${lookup.team.name} team based on category`;
     }
+  } else if (!routing.assignToTeam) {
+    trace.push({
+      step: 'category',
+      category: ticket.category || null,
+      teamId: null,
+      summary: ticket.ai_status === 'failed'
+        ? 'Category lookup skipped: AI classification failed'
+        : 'Category lookup skipped: ticket has no category'
+    });
   }
 
   // Step 3: If team assigned but no agent, find best agent
   if (routing.assignToTeam && !routing.assignToUser) {
-    const bestAgent = findBestAgentInTeam(
-      routing.assignToTeam,
-      agents,
-      ticket
-    );
+    const scored = scoreAgentsInTeam(routing.assignToTeam, agents, ticket);
+    const bestAgent = scored[0]?.agent;
+
+    trace.push({
+      step: 'agent_scores',
+      teamId: routing.assignToTeam,
+      candidates: scored.map(({ agent, score, breakdown }) => ({
+        agentId: agent.id,
+        name: agentName(agent),
+        score: Math.round(score * 100) / 100,
+        breakdown
+      })),
+      selectedAgentId: bestAgent?.id || null,
+      summary: bestAgent
+        ? `${agentName(bestAgent)} scored highest of ${scored.length} team member(s)`
+        : 'No available agent in the team'
+    });
+
     if (bestAgent) {
       routing.assignToUser = bestAgent.id;
       routing.reason += ` -> Assigned to ${bestAgent.first_name}`;
@@ -56,7 +196,20 @@ async function route({ ticket, agents, teams, rules }) {
   }
 
   // Step 4: Handle escalations
-  if (shouldEscalate(ticket)) {
+  // Customer text that tried to steer the model must not raise its own priority
+  const triggers = getEscalationTriggers(ticket);
+  if (isInjectionSuspected(ticket)) {
+    routing.setPriority = null;
+    if (!routing.addTags.includes(INJECTION_TAG)) routing.addTags.push(INJECTION_TAG);
+    routing.reason += ' (priority changes and escalation skipped: possible prompt injection)';
+    trace.push({
+      step: 'escalation',
+      escalated: false,
+      triggers,
+      skipped: 'injection_suspected',
+      summary: 'Escalation and priority changes skipped: possible prompt injection'
+    });
+  } else if (triggers.length > 0) {
     routing.setPriority = 'urgent';
     routing.addTags.push('escalated');
     
@@ -66,11 +219,34 @@ async function route({ ticket, agents, teams, rules }) {
       routing.assignToUser = seniorAgent.id;
       routing.reason += ' (Escalated to senior agent)';
     }
+
+    trace.push({
+      step: 'escalation',
+      escalated: true,
+      triggers,
+      seniorAgentId: seniorAgent?.id || null,
+      summary: `Escalated (${triggers.join(', ')})${seniorAgent ? ` to senior agent ${agentName(seniorAgent)}` : ''}`
+    });
+  } else {
+    trace.push({ step: 'escalation', escalated: false, triggers, summary: 'No escalation triggers' });
   }
 
   // Step 5: Load balancing if still no assignment
   if (!routing.assignToUser && !routing.assignToTeam) {
     const leastBusyAgent = findLeastBusyAgent(agents);
+    trace.push({
+      step: 'load_balancing',
+      candidates: (agents || []).map(agent => ({
+        agentId: agent.id,
+        name: agentName(agent),
+        load: Math.round(((agent.current_ticket_count || 0) / (agent.max_tickets || 10)) * 100) / 100
+      })),
+      selectedAgentId: leastBusyAgent?.id || null,
+      summary: leastBusyAgent
+        ? `${agentName(leastBusyAgent)} has the lowest load`
+        : 'No agents available'
+    });
+
     if (leastBusyAgent) {
       routing.assignToUser = leastBusyAgent.id;
       routing.reason = 'Assigned via load balancing';
@@ -84,102 +260,128 @@ async function route({ ticket, agents, teams, rules }) {
 }
 
 /**
- * Apply routing rules to ticket
+ * Evaluate routing rules in priority order until one matches
  * @param {Object} ticket - Ticket data
  * @param {Array} rules - Routing rules
- * @returns {Object|null} Matched rule actions
+ * @param {Object} [context] - { businessHours, now } for time conditions
+ * @returns {Object} { match, evaluations: [{ ruleId, name, priority, matched }] }
  */
-function applyRoutingRules(ticket, rules) {
-  if (!rules || rules.length === 0) return null;
+function evaluateRoutingRules(ticket, rules, context = {}) {
+  const evaluations = [];
+  if (!rules || rules.length === 0) return { match: null, evaluations };
 
   // Sort by priority (highest first)
   const sortedRules = [...rules].sort((a, b) => (b.priority || 0) - (a.priority || 0));
 
   for (const rule of sortedRules) {
-    if (matchesRule(ticket, rule.conditions)) {
+    const matched = matchesRule(ticket, rule.conditions, context);
+    evaluations.push({ ruleId: rule.id, name: rule.name, priority: rule.priority || 0, matched });
+
+    if (matched) {
       return {
-        ruleName: rule.name,
-        assignToTeam: rule.assign_to_team,
-        assignToUser: rule.assign_to_user,
-        setPriority: rule.set_priority,
-        addTags: rule.add_tags
+        match: {
+          ruleId: rule.id,
+          ruleName: rule.name,
+          assignToTeam: rule.assign_to_team,
+          assignToUser: rule.assign_to_user,
+          setPriority: rule.set_priority,
+          addTags: rule.add_tags
+        },
+        evaluations
       };
     }
   }
 
-  return null;
+  return { match: null, evaluations };
+}
+
+/**
+ * Apply routing rules to ticket
+ * @param {Object} ticket - Ticket data
+ * @param {Array} rules - Routing rules
+ * @param {Object} [context] - { businessHours, now } for time conditions
+ * @returns {Object|null} Matched rule actions
+ */
+function applyRoutingRules(ticket, rules, context = {}) {
+  return evaluateRoutingRules(ticket, rules, context).match;
 }
 
 /**
  * Check if ticket matches rule conditions
+ * Keys are ticket columns, e.g. { category: 'billing', intent: ['refund_request'] },
+ * grouped with $or/$and/$not (see conditions.js)
  * @param {Object} ticket - Ticket data
  * @param {Object} conditions - Rule conditions
+ * @param {Object} [context] - { businessHours, now } for time conditions
  * @returns {boolean}
  */
-function matchesRule(ticket, conditions) {
-  if (!conditions) return false;
+function matchesRule(ticket, conditions, context = {}) {
+  return matchesConditions(ticket, conditions, context);
+}
 
-  for (const [key, value] of Object.entries(conditions)) {
-    const ticketValue = ticket[key];
-    
-    if (Array.isArray(value)) {
-      // Array means "any of these values"
-      if (!value.includes(ticketValue)) return false;
-    } else if (typeof value === 'object') {
-      // Object conditions (e.g., { $gt: 5 })
-      if (value.$gt !== undefined && !(ticketValue > value.$gt)) return false;
-      if (value.$lt !== undefined && !(ticketValue < value.$lt)) return false;
-      if (value.$gte !== undefined && !(ticketValue >= value.$gte)) return false;
-      if (value.$lte !== undefined && !(ticketValue <= value.$lte)) return false;
-      if (value.$ne !== undefined && ticketValue === value.$ne) return false;
-    } else {
-      // Direct comparison
-      if (ticketValue !== value) return false;
-    }
+/**
+ * Find team by category, and how it was found
+ * Walks from the ticket's category up through its ancestors, preferring a
+ * team assigned in the tenant taxonomy, then teams whose skills match.
+ * @param {string} category - Ticket category key (e.g. "billing/refunds")
+ * @param {Array} teams - Available teams
+ * @param {Object} [taxonomy] - Tenant taxonomy from loadTaxonomy()
+ * @returns {Object} { team, via: taxonomy|skills|fallback|null, key }
+ */
+function explainTeamByCategory(category, teams, taxonomy) {
+  if (!teams || teams.length === 0) return { team: null, via: null, key: null };
+  if (!category) return { team: teams[0], via: 'fallback', key: null };
+
+  const categoryKeys = getAncestorKeys(category);
+
+  // Explicit team assignment on the category or its nearest ancestor
+  const entries = taxonomy?.categories || [];
+  for (const key of categoryKeys) {
+    const entry = entries.find(e => e.key === key);
+    const team = entry?.teamId && teams.find(t => t.id === entry.teamId);
+    if (team) return { team, via: 'taxonomy', key };
+  }
+
+  // Skill match, most specific segment first
+  for (const key of categoryKeys) {
+    const segment = key.split(PATH_SEPARATOR).pop();
+    const relevantSkills = CATEGORY_TEAM_SKILLS[segment] || [segment];
+
+    const team = teams.find(t => {
+      if (!t.skills || t.skills.length === 0) return false;
+      return relevantSkills.some(skill => t.skills.includes(skill));
+    });
+    if (team) return { team, via: 'skills', key };
   }
 
-  return true;
+  // Fall back to generic support teams, then the first team
+  const team = teams.find(t =>
+    t.skills?.some(skill => CATEGORY_TEAM_SKILLS.general.includes(skill))
+  ) || teams[0];
+
+  return { team, via: 'fallback', key: null };
 }
 
 /**
  * Find team by category
- * @param {string} category - Ticket category
+ * @param {string} category - Ticket category key (e.g. "billing/refunds")
  * @param {Array} teams - Available teams
+ * @param {Object} [taxonomy] - Tenant taxonomy from loadTaxonomy()
  * @returns {Object|null} Matching team
  */
-function findTeamByCategory(category, teams) {
-  if (!teams || teams.length === 0) return null;
-
-  // Map categories to typical team skills
-  const categoryToSkills = {
-    billing: ['billing', 'payments', 'finance'],
-    technical: ['technical', 'engineering', 'support'],
-    feature_request: ['product', 'feedback'],
-    bug: ['technical', 'engineering', 'qa'],
-    account: ['account', 'customer_success'],
-    general: ['support', 'general']
-  };
-
-  const relevantSkills = categoryToSkills[category] || ['support'];
-
-  // Find team with matching skills
-  return teams.find(team => {
-    if (!team.skills || team.skills.length === 0) return false;
-    return relevantSkills.some(skill =
-      team.skills.includes(skill)
-    );
-  }) || teams[0]; // Default to first team if no match
+function findTeamByCategory(category, teams, taxonomy) {
+  return explainTeamByCategory(category, teams, taxonomy).team;
 }
 
 /**
- * Find best agent in a team
+ * Score the agents of a team for a ticket
  * @param {string} teamId - Team ID
  * @param {Array} agents - All agents
  * @param {Object} ticket - Ticket data
- * @returns {Object|null} Best agent
+ * @returns {Array} [{ agent, score, breakdown: { skills, language, availability, teamLead, presence } }], best first
  */
-function findBestAgentInTeam(teamId, agents, ticket) {
-  if (!agents || agents.length === 0) return null;
+function scoreAgentsInTeam(teamId, agents, ticket) {
+  if (!agents || agents.length === 0) return [];
 
   // Filter agents in team
   const teamAgents = agents.filter(agent => {
@@ -187,72 +389,105 @@ function findBestAgentInTeam(teamId, agents, ticket) {
     return agent.team_members.some(tm => tm.team_id === teamId);
   });
 
-  if (teamAgents.length === 0) return null;
-
   // Score each agent
   const scoredAgents = teamAgents.map(agent => {
-    let score = 0;
+    const breakdown = { skills: 0, language: 0, availability: 0, teamLead: 0, presence: 0 };
 
-    // Skill match
+    // Skill match (any segment of the category path counts)
     if (agent.skills && ticket.category) {
-      const categorySkills = {
-        billing: ['billing', 'finance'],
-        technical: ['technical', 'engineering'],
-        feature_request: ['product'],
-        bug: ['technical', 'qa'],
-        account: ['account', 'customer_success']
-      };
-      
-      const relevantSkills = categorySkills[ticket.category] || [];
-      const skillMatch = relevantSkills.filter(skill =
+      const segments = ticket.category.split(PATH_SEPARATOR);
+      const relevantSkills = new Set(segments.flatMap(segment =>
+        CATEGORY_AGENT_SKILLS[segment] || [segment]
+      ));
+      const skillMatch = [...relevantSkills].filter(skill =>
         agent.skills.includes(skill)
       ).length;
-      score += skillMatch * 10;
+      breakdown.skills = skillMatch * 10;
+    }
+
+    // Prefer agents who speak the customer's language
+    if (agent.skills && ticket.language) {
+      const speaksLanguage = getLanguageSkills(ticket.language).some(skill =>
+        agent.skills.includes(skill)
+      );
+      if (speaksLanguage) breakdown.language = 15;
     }
 
     // Availability (lower current load = higher score)
     const currentLoad = agent.current_ticket_count || 0;
     const maxTickets = agent.max_tickets || 10;
     const availability = 1 - (currentLoad / maxTickets);
-    score += availability * 20;
+    breakdown.availability = Math.round(availability * 20 * 100) / 100;
 
     // Team lead bonus
-    const isTeamLead = agent.team_members?.some(tm =
+    const isTeamLead = agent.team_members?.some(tm =>
       tm.team_id === teamId && tm.is_team_lead
     );
-    if (isTeamLead) score += 5;
+    if (isTeamLead) breakdown.teamLead = 5;
 
-    return { agent, score };
+    // Agents who stepped away still get tickets, after those at their desk
+    if (agent.presence === 'away') breakdown.presence = -10;
+
+    const score = breakdown.skills + breakdown.language + availability * 20 + breakdown.teamLead + breakdown.presence;
+
+    return { agent, score, breakdown };
   });
 
   // Sort by score (highest first)
-  scoredAgents.sort((a, b) => b.score - a.score);
+  return scoredAgents.sort((a, b) => b.score - a.score);
+}
 
-  return scoredAgents[0]?.agent;
+/**
+ * Find best agent in a team
+ * @param {string} teamId - Team ID
+ * @param {Array} agents - All agents
+ * @param {Object} ticket - Ticket data
+ * @returns {Object|null} Best agent
+ */
+function findBestAgentInTeam(teamId, agents, ticket) {
+  return scoreAgentsInTeam(teamId, agents, ticket)[0]?.agent || null;
 }
 
+// Words in the subject/body that escalate a ticket
+const ESCALATION_KEYWORDS = [
+  'cancel', 'refund', 'lawsuit', 'lawyer', 'legal',
+  'manager', 'supervisor', 'escalate', 'complaint',
+  'terrible', 'awful', 'unacceptable', 'fraud'
+];
+
 /**
- * Check if ticket should be escalated
+ * List the reasons a ticket should be escalated
  * @param {Object} ticket - Ticket data
- * @returns {boolean}
+ * @returns {Array<string>} Triggers, e.g. ["priority:urgent", "keyword:refund"]
  */
-function shouldEscalate(ticket) {
+function getEscalationTriggers(ticket) {
+  const triggers = [];
+
   // High priority
-  if (ticket.priority === 'urgent') return true;
+  if (ticket.priority === 'urgent') triggers.push('priority:urgent');
 
-  // Very negative sentiment
-  if (ticket.sentiment === 'very_negative') return true;
-  if (ticket.sentiment_score < -0.5) return true;
+  // Very negative sentiment (ignored when AI classification failed)
+  if (ticket.ai_status !== 'failed') {
+    if (ticket.sentiment === 'very_negative') triggers.push('sentiment:very_negative');
+    if (ticket.sentiment_score < -0.5) triggers.push(`sentiment_score:${ticket.sentiment_score}`);
+  }
 
   // Escalation keywords
-  const escalationKeywords = [
-    'cancel', 'refund', 'lawsuit', 'lawyer', 'legal',
-    'manager', 'supervisor', 'escalate', 'complaint',
-    'terrible', 'awful', 'unacceptable', 'fraud'
-  ];
-
   const text = `${ticket.subject} ${ticket.body}`.toLowerCase();
-  return escalationKeywords.some(keyword => text.includes(keyword));
+  for (const keyword of ESCALATION_KEYWORDS) {
+    if (text.includes(keyword)) triggers.push(`keyword:${keyword}`);
+  }
+
+  return triggers;
+}
+
+/**
+ * Check if ticket should be escalated
+ * @param {Object} ticket - Ticket data
+ * @returns {boolean}
+ */
+function shouldEscalate(ticket) {
+  return getEscalationTriggers(ticket).length > 0;
 }
 
 /**
@@ -267,7 +502,7 @@ function findSeniorAgent(agents, teamId) {
   // Prefer team leads
   const leads = agents.filter(agent => {
     if (!agent.team_members) return false;
-    return agent.team_members.some(tm =
+    return agent.team_members.some(tm =>
       tm.is_team_lead && (!teamId || tm.team_id === teamId)
     );
   });
@@ -293,8 +528,12 @@ function findSeniorAgent(agents, teamId) {
 function findLeastBusyAgent(agents) {
   if (!agents || agents.length === 0) return null;
 
-  // Sort by current load percentage
+  // Sort by presence (online before away), then current load percentage
   const sorted = [...agents].sort((a, b) => {
+    const awayA = a.presence === 'away' ? 1 : 0;
+    const awayB = b.presence === 'away' ? 1 : 0;
+    if (awayA !== awayB) return awayA - awayB;
+
     const loadA = (a.current_ticket_count || 0) / (a.max_tickets || 10);
     const loadB = (b.current_ticket_count || 0) / (b.max_tickets || 10);
     return loadA - loadB;
@@ -317,6 +556,11 @@ function calculateRoutingConfidence(routing, ticket) {
     confidence += 0.3;
   }
 
+  // AI signals only count when the latest classification succeeded
+  if (ticket.ai_status === 'failed') {
+    return Math.min(1, confidence);
+  }
+
   // Higher confidence if AI processed the ticket
   if (ticket.ai_processed) {
     confidence += 0.1;
@@ -332,10 +576,16 @@ function calculateRoutingConfidence(routing, ticket) {
 
 module.exports = {
   route,
+  evaluateRoutingRules,
   applyRoutingRules,
+  matchesRule,
+  explainTeamByCategory,
   findTeamByCategory,
+  scoreAgentsInTeam,
   findBestAgentInTeam,
+  getEscalationTriggers,
   shouldEscalate,
   findSeniorAgent,
-  findLeastBusyAgent
+  findLeastBusyAgent,
+  getUnavailableReason
 };
@@ -0,0 +1,91 @@
+/**
+ * Response schemas for AI tasks that return JSON
+ */
+const { z } = require('zod');
+
+/**
+ * Number within a range; models sometimes quote numbers ("0.8"), so numeric
+ * strings are accepted too
+ * @param {number} min - Minimum
+ * @param {number} max - Maximum
+ * @returns {z.ZodType} Schema
+ */
+function numberBetween(min, max) {
+  return z.preprocess(
+    value => (typeof value === 'string' && value.trim() !== '' ? Number(value) : value),
+    z.number().min(min).max(max)
+  );
+}
+
+const unitScore = numberBetween(0, 1);
+const signedScore = numberBetween(-1, 1);
+
+const classificationResponseSchema = z.object({
+  category: z.string().min(1),
+  priority: z.string().min(1),
+  sentiment: z.object({
+    label: z.string().min(1),
+    score: signedScore
+  }),
+  confidence: z.object({
+    category: unitScore.optional(),
+    priority: unitScore.optional(),
+    sentiment: unitScore.optional()
+  }).optional(),
+  intent: z.string().default(''),
+  reasoning: z.string().optional()
+});
+
+const sentimentResponseSchema = z.object({
+  score: signedScore,
+  magnitude: unitScore,
+  emotions: z.object({
+    joy: unitScore,
+    anger: unitScore,
+    sadness: unitScore,
+    fear: unitScore,
+    disgust: unitScore
+  })
+});
+
+const stringList = z.array(z.coerce.string()).default([]);
+
+const entitiesResponseSchema = z.object({
+  orderIds: stringList,
+  accountNumbers: stringList,
+  emails: stringList,
+  phones: stringList,
+  products: stringList,
+  dates: stringList
+});
+
+// Extras beyond classification are optional: a reply without them still
+// classifies the ticket (language is then detected separately)
+const analysisResponseSchema = classificationResponseSchema.extend({
+  magnitude: unitScore.optional(),
+  emotions: sentimentResponseSchema.shape.emotions.optional(),
+  language: z.string().min(2).optional(),
+  entities: entitiesResponseSchema.default({}),
+  summary: z.string().default('')
+});
+
+const handoffResponseSchema = z.object({
+  summary: z.string().default(''),
+  tried: stringList,
+  pending: stringList,
+  customerMood: z.string().min(1)
+});
+
+const spamResponseSchema = z.object({
+  score: unitScore,
+  reason: z.string().default('')
+});
+
+module.exports = {
+  analysisResponseSchema,
+  handoffResponseSchema,
+  classificationResponseSchema,
+  sentimentResponseSchema,
+  entitiesResponseSchema,
+  spamResponseSchema
+};
@@ -0,0 +1,215 @@
+/**
+ * Structured (JSON) output for TicketAI
+ * Validates model JSON against a zod schema, repairs common formatting
+ * mistakes, and re-asks the model once with the validation errors.
+ */
+const providers = require('./providers');
+
+// Per tenant and provider/model counters since process start
+const metrics = new Map();
+const metricsSince = new Date().toISOString();
+
+/**
+ * Raised when a model keeps returning invalid JSON
+ */
+class StructuredOutputError extends Error {
+  constructor(message, { errors = [], provider, model } = {}) {
+    super(message);
+    this.name = 'StructuredOutputError';
+    this.errors = errors;
+    this.provider = provider;
+    this.model = model;
+  }
+}
+
+/**
+ * Count an outcome for a tenant and provider/model. Every request ends as exactly
+ * one of valid, repaired or failed; reasked counts the requests that needed a second try.
+ * @param {string|null} tenantId - Tenant the request was made for
+ * @param {Object} response - Provider response ({ provider, model })
+ * @param {string} outcome - requests, valid, repaired, reasked or failed
+ */
+function track(tenantId, response, outcome) {
+  const key = `${tenantId}:${response.provider}/${response.model}`;
+
+  if (!metrics.has(key)) {
+    metrics.set(key, {
+      tenantId,
+      provider: response.provider,
+      model: response.model,
+      requests: 0,
+      valid: 0,
+      repaired: 0,
+      reasked: 0,
+      failed: 0
+    });
+  }
+
+  metrics.get(key)[outcome]++;
+}
+
+/**
+ * Fix common ways models break JSON: code fences, text around the object,
+ * smart quotes and trailing commas
+ * @param {string} content - Model output
+ * @returns {string} Repaired JSON text
+ */
+function repairJson(content) {
+  let text = String(content ?? '').trim();
+
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fenced) text = fenced[1].trim();
+
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start !== -1 && end > start) text = text.slice(start, end + 1);
+
+  return text
+    .replace(/[“”]/g, '"')
+    .replace(/,\s*([}\]])/g, '$1');
+}
+
+/**
+ * Parse and validate model output
+ * @param {string} content - Model output
+ * @param {z.ZodType} schema - Expected shape
+ * @returns {Object} { success, data?, errors? }
+ */
+function parseWithSchema(content, schema) {
+  let json;
+  try {
+    json = JSON.parse(content);
+  } catch (error) {
+    return { success: false, errors: [`Invalid JSON: ${error.message}`] };
+  }
+
+  const result = schema.safeParse(json);
+  if (result.success) return { success: true, data: result.data };
+
+  return {
+    success: false,
+    errors: result.error.errors.map(e => `${e.path.join('.') || '(root)'}: ${e.message}`)
+  };
+}
+
+/**
+ * Parse output as-is, then after repair
+ * @param {string} content - Model output
+ * @param {z.ZodType} schema - Expected shape
+ * @returns {Object} { success, data?, errors?, repaired }
+ */
+function parseOutput(content, schema) {
+  const direct = parseWithSchema(content, schema);
+  if (direct.success) return { ...direct, repaired: false };
+
+  const repairedContent = repairJson(content);
+  if (repairedContent !== content) {
+    const repaired = parseWithSchema(repairedContent, schema);
+    if (repaired.success) return { ...repaired, repaired: true };
+    return { ...repaired, repaired: false };
+  }
+
+  return { ...direct, repaired: false };
+}
+
+/**
+ * Run a JSON completion and validate it against a schema
+ * @param {Object} params - providers.complete() parameters, plus:
+ * @param {z.ZodType} params.schema - Expected response shape
+ * @returns {Object} Provider response with the validated `data`
+ * @throws {StructuredOutputError} When the output is still invalid after one re-ask
+ */
+async function completeJson({ schema, ...params }) {
+  // Metrics are per tenant; the meter is the only tenant context callers pass
+  const tenantId = params.meter?.tenantId ?? null;
+
+  const response = await providers.complete({ ...params, json: true });
+  track(tenantId, response, 'requests');
+
+  const first = parseOutput(response.content, schema);
+  if (first.success) {
+    track(tenantId, response, first.repaired ? 'repaired' : 'valid');
+    return { ...response, data: first.data };
+  }
+
+  // One re-ask with the errors; the model usually fixes its own mistake
+  track(tenantId, response, 'reasked');
+  let retry;
+  try {
+    retry = await providers.complete({
+      ...params,
+      json: true,
+      messages: [
+        ...params.messages,
+        { role: 'assistant', content: response.content },
+        {
+          role: 'user',
+          content: `Your response did not match the required JSON format:\n${first.errors.map(e => `- ${e}`).join('\n')}\n\nRespond again with only the corrected JSON object.`
+        }
+      ]
+    });
+  } catch (error) {
+    // The re-ask itself failed (provider error, budget); the request still ends here
+    track(tenantId, response, 'failed');
+    throw error;
+  }
+
+  const second = parseOutput(retry.content, schema);
+  if (second.success) {
+    track(tenantId, response, second.repaired ? 'repaired' : 'valid');
+    return {
+      ...retry,
+      usage: {
+        promptTokens: response.usage.promptTokens + retry.usage.promptTokens,
+        completionTokens: response.usage.completionTokens + retry.usage.completionTokens,
+        totalTokens: response.usage.totalTokens + retry.usage.totalTokens
+      },
+      data: second.data
+    };
+  }
+
+  track(tenantId, response, 'failed');
+  throw new StructuredOutputError(`Invalid ${params.task} output: ${second.errors.join('; ')}`, {
+    errors: second.errors,
+    provider: response.provider,
+    model: response.model
+  });
+}
+
+/**
+ * Get structured output counters per provider/model
+ * @param {string} [tenantId] - Only this tenant's requests; omit for all
+ *   tenants (worker stats, never a tenant-facing response)
+ * @returns {Object} { since, providers: [...] }
+ */
+function getMetrics(tenantId) {
+  const byModel = new Map();
+
+  for (const { tenantId: entryTenantId, ...entry } of metrics.values()) {
+    if (tenantId !== undefined && entryTenantId !== tenantId) continue;
+
+    const key = `${entry.provider}/${entry.model}`;
+    const totals = byModel.get(key);
+    if (!totals) {
+      byModel.set(key, { ...entry });
+      continue;
+    }
+
+    for (const outcome of ['requests', 'valid', 'repaired', 'reasked', 'failed']) {
+      totals[outcome] += entry[outcome];
+    }
+  }
+
+  return {
+    since: metricsSince,
+    providers: [...byModel.values()]
+  };
+}
+
+module.exports = {
+  StructuredOutputError,
+  repairJson,
+  parseOutput,
+  completeJson,
+  getMetrics
+};
@@ -1,10 +1,9 @@
-const OpenAI = require('openai');
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
-
-const MODEL = process.env.OPENAI_MODEL || 'gpt-4';
+const providers = require('./providers');
+const promptSafety = require('./prompt-safety');
+const { completeJson } = require('./structured-output');
+const { getWorkingLanguage } = require('./translator');
+const { BudgetExceededError } = require('./usage');
+const schemas = require('./schemas');
 
 /**
  * Generate response suggestions for a ticket
@@ -12,9 +11,11 @@ const MODEL = process.env.OPENAI_MODEL || 'gpt-4';
  * @param {Object} params.ticket - Ticket data
  * @param {Array} params.templates - Response templates
  * @param {Array} params.kbArticles - Knowledge base articles
+ * @param {Object} [params.settings] - Tenant settings (selects provider/model)
+ * @param {Object} [params.meter] - Usage meter (see usage.createMeter)
  * @returns {Array} Response suggestions
  */
-async function generate({ ticket, templates, kbArticles }) {
+async function generate({ ticket, templates, kbArticles, settings, meter }) {
   const suggestions = [];
 
   // 1. Find matching templates
@@ -26,7 +27,7 @@ async function generate({ ticket, templates, kbArticles }) {
   suggestions.push(...kbMatches);
 
   // 3. Generate AI response if confidence is high enough
-  const aiSuggestion = await generateAIResponse(ticket, kbMatches);
+  const aiSuggestion = await generateAIResponse(ticket, kbMatches, { settings, meter });
   if (aiSuggestion) {
     suggestions.push(aiSuggestion);
   }
@@ -161,9 +162,12 @@ function findRelevantKBArticles(ticket, kbArticles) {
  * Generate AI response suggestion
  * @param {Object} ticket - Ticket data
  * @param {Array} contextArticles - Relevant KB articles for context
+ * @param {Object} [options] - Options
+ * @param {Object} [options.settings] - Tenant settings (selects provider/model)
+ * @param {Object} [options.meter] - Usage meter (see usage.createMeter)
  * @returns {Object|null} AI suggestion
  */
-async function generateAIResponse(ticket, contextArticles) {
+async function generateAIResponse(ticket, contextArticles, options = {}) {
   try {
     // Build context from KB articles
     const context = contextArticles
@@ -174,8 +178,8 @@ async function generateAIResponse(ticket, contextArticles) {
     const prompt = `You are a helpful customer support agent. Draft a response to the following ticket.
 
 TICKET:
-Subject: ${ticket.subject}
-Body: ${ticket.body}
+Subject: ${promptSafety.wrapUntrusted('subject', ticket.subject)}
+Body: ${promptSafety.wrapUntrusted('body', ticket.body)}
 Category: ${ticket.category || 'general'}
 Priority: ${ticket.priority || 'medium'}
 
@@ -189,12 +193,14 @@ Instructions:
 
 Draft a response:`;
 
-    const response = await openai.chat.completions.create({
-      model: MODEL,
+    const response = await providers.complete({
+      task: 'reply',
+      settings: options.settings,
+      meter: options.meter,
       messages: [
         {
           role: 'system',
-          content: 'You are a professional customer support agent. Write clear, helpful responses.'
+          content: `You are a professional customer support agent. Write clear, helpful responses. Sensitive values are replaced with placeholders such as [CARD_1]; never ask the customer to resend them. ${promptSafety.UNTRUSTED_DATA_INSTRUCTION}`
         },
         {
           role: 'user',
@@ -202,10 +208,10 @@ Draft a response:`;
         }
       ],
       temperature: 0.7,
-      max_tokens: 800
+      maxTokens: 800
     });
 
-    const content = response.choices[0].message.content.trim();
+    const content = response.content.trim();
 
     return {
       id: `ai_${Date.now()}`,
@@ -225,9 +231,12 @@ Draft a response:`;
  * Improve response based on feedback
  * @param {string} originalResponse - Original AI response
  * @param {string} feedback - User feedback
+ * @param {Object} [options] - Options
+ * @param {Object} [options.settings] - Tenant settings (selects provider/model)
+ * @param {Object} [options.meter] - Usage meter (see usage.createMeter)
  * @returns {string} Improved response
  */
-async function improveResponse(originalResponse, feedback) {
+async function improveResponse(originalResponse, feedback, options = {}) {
   try {
     const prompt = `Improve the following customer support response based on the feedback provided.
 
@@ -239,8 +248,10 @@ ${feedback}
 
 Please provide an improved version:`;
 
-    const response = await openai.chat.completions.create({
-      model: MODEL,
+    const response = await providers.complete({
+      task: 'improve',
+      settings: options.settings,
+      meter: options.meter,
       messages: [
         {
           role: 'system',
@@ -252,10 +263,10 @@ Please provide an improved version:`;
         }
       ],
       temperature: 0.5,
-      max_tokens: 800
+      maxTokens: 800
     });
 
-    return response.choices[0].message.content.trim();
+    return response.content.trim();
   } catch (error) {
     console.error('Response improvement error:', error);
     return originalResponse;
@@ -265,26 +276,27 @@ Please provide an improved version:`;
 /**
  * Summarize a long ticket thread
  * @param {Array} messages - Ticket messages
+ * @param {Object} [options] - Options
+ * @param {Object} [options.settings] - Tenant settings (selects provider/model)
+ * @param {Object} [options.meter] - Usage meter (see usage.createMeter)
  * @returns {string} Summary
  */
-async function summarizeThread(messages) {
+async function summarizeThread(messages, options = {}) {
   try {
-    const threadText = messages
-      .map(m => `${m.sender_type}: ${m.body}`)
-      .join('\n\n');
+    const prompt = `Summarize the following support ticket thread in 2-3 sentences, in the language with ISO 639-1 code "${getWorkingLanguage(options.settings)}":
 
-    const prompt = `Summarize the following support ticket thread in 2-3 sentences:
-
-${threadText}
+${formatThread(messages)}
 
 Summary:`;
 
-    const response = await openai.chat.completions.create({
-      model: MODEL,
+    const response = await providers.complete({
+      task: 'summarize',
+      settings: options.settings,
+      meter: options.meter,
       messages: [
         {
           role: 'system',
-          content: 'Summarize support ticket threads concisely.'
+          content: `Summarize support ticket threads concisely. ${promptSafety.UNTRUSTED_DATA_INSTRUCTION}`
         },
         {
           role: 'user',
@@ -292,21 +304,97 @@ Summary:`;
         }
       ],
       temperature: 0.3,
-      max_tokens: 200
+      maxTokens: 200
     });
 
-    return response.choices[0].message.content.trim();
+    return response.content.trim();
   } catch (error) {
+    // Callers tell the agent why there is no summary
+    if (error instanceof BudgetExceededError) throw error;
+
     console.error('Thread summarization error:', error);
     return '';
   }
 }
 
+/**
+ * Summarize a ticket for the agent taking it over: what has been tried,
+ * what is still pending and how the customer feels
+ * @param {Object} ticket - Ticket data
+ * @param {Array} messages - Ticket messages, oldest first
+ * @param {Object} [options] - Options
+ * @param {Object} [options.settings] - Tenant settings (selects provider/model)
+ * @param {Object} [options.meter] - Usage meter (see usage.createMeter)
+ * @returns {Object|null} { summary, tried, pending, customerMood } (null on error)
+ */
+async function summarizeHandoff(ticket, messages, options = {}) {
+  try {
+    const prompt = `An agent is handing over the following support ticket to a colleague. Write a handoff note in the language with ISO 639-1 code "${getWorkingLanguage(options.settings)}":
+1. A one-sentence summary of the issue
+2. What has been tried so far (steps taken by agents or the customer)
+3. What is still pending (open questions, promised follow-ups, next steps)
+4. The customer's current mood, in a few words
+
+Status: ${ticket.status || 'open'}
+Priority: ${ticket.priority || 'medium'}
+Subject: ${promptSafety.wrapUntrusted('subject', ticket.subject)}
+
+Thread:
+${formatThread(messages)}
+
+Respond in JSON format:
+{
+  "summary": "string",
+  "tried": ["string"],
+  "pending": ["string"],
+  "customerMood": "string"
+}`;
+
+    const response = await completeJson({
+      task: 'handoff',
+      schema: schemas.handoffResponseSchema,
+      settings: options.settings,
+      meter: options.meter,
+      messages: [
+        {
+          role: 'system',
+          content: `You write concise handoff notes between support agents. ${promptSafety.UNTRUSTED_DATA_INSTRUCTION}`
+        },
+        {
+          role: 'user',
+          content: prompt
+        }
+      ],
+      temperature: 0.3,
+      maxTokens: 500
+    });
+
+    return response.data;
+  } catch (error) {
+    if (error instanceof BudgetExceededError) throw error;
+
+    console.error('Handoff summary error:', error);
+    return null;
+  }
+}
+
+/**
+ * Format a thread for a prompt, as delimited untrusted data
+ * @param {Array} messages - Ticket messages, oldest first
+ * @returns {string} Prompt text
+ */
+function formatThread(messages) {
+  return messages
+    .map(m => `${m.sender_type}${m.is_internal ? ' (internal note)' : ''}: ${promptSafety.wrapUntrusted('message', m.body)}`)
+    .join('\n\n');
+}
+
 module.exports = {
   generate,
   findMatchingTemplates,
   findRelevantKBArticles,
   generateAIResponse,
   improveResponse,
-  summarizeThread
+  summarizeThread,
+  summarizeHandoff
 };
@@ -0,0 +1,272 @@
+/**
+ * Tenant Taxonomies for TicketAI
+ * Categories, priorities and sentiments a tenant classifies tickets into.
+ * Categories are hierarchical; a child's key is its parent's key plus "/slug",
+ * e.g. "billing/refunds" (displayed as "billing > refunds").
+ */
+
+const KINDS = ['category', 'priority', 'sentiment'];
+
+const PATH_SEPARATOR = '/';
+
+// Built-in taxonomy used for any kind a tenant has not customized
+const DEFAULT_TAXONOMY = {
+  categories: [
+    { key: 'billing', name: 'Billing', description: 'Invoices, charges, refunds and payment methods' },
+    { key: 'technical', name: 'Technical', description: 'Setup, configuration and integration questions' },
+    { key: 'feature_request', name: 'Feature request', description: 'Requests for new functionality' },
+    { key: 'bug', name: 'Bug', description: 'Something is broken or behaves incorrectly' },
+    { key: 'account', name: 'Account', description: 'Login, access and account settings' },
+    { key: 'general', name: 'General', description: 'Anything that does not fit another category' }
+  ],
+  priorities: [
+    { key: 'low', name: 'Low' },
+    { key: 'medium', name: 'Medium' },
+    { key: 'high', name: 'High' },
+    { key: 'urgent', name: 'Urgent' }
+  ],
+  sentiments: [
+    { key: 'positive', name: 'Positive' },
+    { key: 'neutral', name: 'Neutral' },
+    { key: 'negative', name: 'Negative' },
+    { key: 'very_negative', name: 'Very negative' }
+  ]
+};
+
+// Label used when the model answers outside the taxonomy
+const PREFERRED_FALLBACKS = {
+  categories: 'general',
+  priorities: 'medium',
+  sentiments: 'neutral'
+};
+
+// Longest key per kind; tickets store keys in VARCHAR(100)/VARCHAR(20) columns
+const KEY_MAX_LENGTH = {
+  category: 100,
+  priority: 20,
+  sentiment: 20
+};
+
+const KIND_TO_GROUP = {
+  category: 'categories',
+  priority: 'priorities',
+  sentiment: 'sentiments'
+};
+
+/**
+ * Turn a name into a taxonomy slug
+ * @param {string} value - Name or slug
+ * @returns {string} Slug
+ */
+function slugify(value) {
+  return String(value)
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Format a category key for display
+ * @param {string} key - Category key (e.g. "billing/refunds")
+ * @returns {string} Display path (e.g. "billing > refunds")
+ */
+function formatPath(key) {
+  return key.split(PATH_SEPARATOR).join(' > ');
+}
+
+/**
+ * Get the key of each ancestor, deepest first, including the key itself
+ * @param {string} key - Category key
+ * @returns {Array<string>} Keys
+ */
+function getAncestorKeys(key) {
+  const segments = String(key).split(PATH_SEPARATOR);
+  const keys = [];
+
+  for (let i = segments.length; i > 0; i--) {
+    keys.push(segments.slice(0, i).join(PATH_SEPARATOR));
+  }
+
+  return keys;
+}
+
+/**
+ * Map a taxonomy_entries row to the in-memory shape
+ * @param {Object} row - Database row
+ * @returns {Object} Entry
+ */
+function toEntry(row) {
+  return {
+    id: row.id,
+    key: row.key,
+    name: row.name,
+    description: row.description || '',
+    examples: row.examples || [],
+    teamId: row.team_id || null,
+    parentId: row.parent_id || null,
+    sortOrder: row.sort_order || 0
+  };
+}
+
+/**
+ * Load a tenant's taxonomy, falling back to defaults per kind
+ * @param {Object} supabase - Supabase client
+ * @param {string} tenantId - Tenant ID
+ * @returns {Object} { categories, priorities, sentiments, customized }
+ */
+async function loadTaxonomy(supabase, tenantId) {
+  const { data: rows } = await supabase
+    .from('taxonomy_entries')
+    .select('*')
+    .eq('tenant_id', tenantId)
+    .eq('is_active', true)
+    .order('sort_order', { ascending: true });
+
+  const taxonomy = { customized: {} };
+
+  for (const kind of KINDS) {
+    const group = KIND_TO_GROUP[kind];
+    const entries = (rows || []).filter(row => row.kind === kind).map(toEntry);
+
+    taxonomy[group] = entries.length > 0 ? entries : DEFAULT_TAXONOMY[group];
+    taxonomy.customized[group] = entries.length > 0;
+  }
+
+  return taxonomy;
+}
+
+/**
+ * Get the label to use when the model returns something unknown
+ * @param {Array} entries - Taxonomy entries for one kind
+ * @param {string} group - categories, priorities or sentiments
+ * @returns {string|null} Fallback key (null for categories without "general")
+ */
+function getFallbackLabel(entries, group) {
+  const preferred = PREFERRED_FALLBACKS[group];
+  if (entries.some(entry => entry.key === preferred)) return preferred;
+
+  // Custom categories without "general": use the first top-level category
+  // so the ticket is never saved uncategorized
+  if (group === 'categories') {
+    const topLevel = entries.find(entry => !entry.key.includes(PATH_SEPARATOR));
+    return (topLevel || entries[0])?.key || null;
+  }
+
+  // Middle entry is the least opinionated choice for ordered scales
+  return entries[Math.floor((entries.length - 1) / 2)]?.key || preferred;
+}
+
+/**
+ * Check if a value is a key in the taxonomy
+ * @param {Array} entries - Taxonomy entries for one kind
+ * @param {string} value - Label to check
+ * @returns {boolean}
+ */
+function isValidLabel(entries, value) {
+  return entries.some(entry => entry.key === value);
+}
+
+/**
+ * Resolve a model answer to a taxonomy key
+ * Accepts exact keys, display paths ("billing > refunds"), names, and
+ * unknown children of known categories (resolved to the nearest ancestor).
+ * @param {Array} entries - Taxonomy entries for one kind
+ * @param {string} value - Label returned by the model
+ * @param {string} group - categories, priorities or sentiments
+ * @returns {string|null} Taxonomy key
+ */
+function resolveLabel(entries, value, group) {
+  if (typeof value !== 'string' || !value.trim()) {
+    return getFallbackLabel(entries, group);
+  }
+
+  const normalized = value
+    .split(/\s*(?:>|\/)\s*/)
+    .map(slugify)
+    .join(PATH_SEPARATOR);
+
+  for (const key of getAncestorKeys(normalized)) {
+    const match = entries.find(entry =>
+      entry.key === key || slugify(entry.name) === key
+    );
+    if (match) return match.key;
+  }
+
+  return getFallbackLabel(entries, group);
+}
+
+/**
+ * Describe one kind of taxonomy for a prompt
+ * @param {Array} entries - Taxonomy entries
+ * @returns {string} Prompt lines
+ */
+function describeEntries(entries) {
+  return entries.map(entry => {
+    let line = `- ${entry.key}`;
+    if (entry.key.includes(PATH_SEPARATOR)) line += ` (${formatPath(entry.key)})`;
+    if (entry.description) line += `: ${entry.description}`;
+
+    const examples = (entry.examples || []).slice(0, 2);
+    if (examples.length > 0) {
+      line += `\n  Examples: ${examples.map(e => `"${e}"`).join('; ')}`;
+    }
+
+    return line;
+  }).join('\n');
+}
+
+/**
+ * Build the taxonomy section of the classification prompt
+ * @param {Object} taxonomy - Taxonomy from loadTaxonomy() or DEFAULT_TAXONOMY
+ * @returns {string} Prompt text
+ */
+function buildTaxonomyPrompt(taxonomy) {
+  return `Categories (use the most specific key that fits):
+${describeEntries(taxonomy.categories)}
+
+Priorities:
+${describeEntries(taxonomy.priorities)}
+
+Sentiments:
+${describeEntries(taxonomy.sentiments)}`;
+}
+
+/**
+ * Build a nested tree from category entries
+ * @param {Array} entries - Category entries
+ * @returns {Array} Root nodes with children
+ */
+function buildTree(entries) {
+  const nodes = new Map(entries.map(entry => [entry.key, { ...entry, children: [] }]));
+  const roots = [];
+
+  for (const node of nodes.values()) {
+    const parentKey = node.key.split(PATH_SEPARATOR).slice(0, -1).join(PATH_SEPARATOR);
+    const parent = parentKey && nodes.get(parentKey);
+
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  return roots;
+}
+
+module.exports = {
+  KINDS,
+  KIND_TO_GROUP,
+  KEY_MAX_LENGTH,
+  DEFAULT_TAXONOMY,
+  PATH_SEPARATOR,
+  slugify,
+  formatPath,
+  getAncestorKeys,
+  loadTaxonomy,
+  isValidLabel,
+  resolveLabel,
+  buildTaxonomyPrompt,
+  buildTree
+};
@@ -0,0 +1,115 @@
+/**
+ * Translation for TicketAI
+ * Lets agents work in the tenant's working language while customers are
+ * answered in their own.
+ */
+const providers = require('./providers');
+
+const DEFAULT_WORKING_LANGUAGE = 'en';
+
+// Skill names agents may use for a language besides its ISO code
+const LANGUAGE_NAMES = {
+  en: 'english',
+  es: 'spanish',
+  fr: 'french',
+  de: 'german',
+  it: 'italian',
+  pt: 'portuguese',
+  nl: 'dutch',
+  sv: 'swedish',
+  pl: 'polish',
+  ru: 'russian',
+  uk: 'ukrainian',
+  tr: 'turkish',
+  ar: 'arabic',
+  he: 'hebrew',
+  hi: 'hindi',
+  zh: 'chinese',
+  ja: 'japanese',
+  ko: 'korean'
+};
+
+/**
+ * Normalize a model's language answer to an ISO 639-1 code
+ * @param {string} value - Language code or name
+ * @returns {string|null} Two-letter code, or null if unrecognized
+ */
+function normalizeLanguage(value) {
+  if (typeof value !== 'string') return null;
+
+  const cleaned = value.trim().toLowerCase().replace(/["'.]/g, '');
+  const code = cleaned.split(/[-_\s]/)[0];
+
+  if (/^[a-z]{2}$/.test(code)) return code;
+
+  const byName = Object.keys(LANGUAGE_NAMES).find(key => LANGUAGE_NAMES[key] === cleaned);
+  return byName || null;
+}
+
+/**
+ * Get the language agents of a tenant work in
+ * @param {Object} [settings] - Tenant settings
+ * @returns {string} Language code
+ */
+function getWorkingLanguage(settings) {
+  return normalizeLanguage(settings?.language) || DEFAULT_WORKING_LANGUAGE;
+}
+
+/**
+ * Skills that mark an agent as speaking a language
+ * @param {string} language - Language code
+ * @returns {Array<string>} e.g. ['es', 'spanish']
+ */
+function getLanguageSkills(language) {
+  if (!language) return [];
+  return LANGUAGE_NAMES[language] ? [language, LANGUAGE_NAMES[language]] : [language];
+}
+
+/**
+ * Translate text into another language
+ * @param {string} text - Text to translate
+ * @param {string} targetLanguage - Target language code
+ * @param {Object} [options] - Options
+ * @param {string} [options.sourceLanguage] - Source language code, if known
+ * @param {Object} [options.settings] - Tenant settings (selects provider/model)
+ * @param {Object} [options.meter] - Usage meter (see usage.createMeter)
+ * @returns {string} Translated text
+ */
+async function translate(text, targetLanguage, options = {}) {
+  if (!text || options.sourceLanguage === targetLanguage) return text;
+
+  const target = LANGUAGE_NAMES[targetLanguage] || targetLanguage;
+  const source = options.sourceLanguage
+    ? ` from ${LANGUAGE_NAMES[options.sourceLanguage] || options.sourceLanguage}`
+    : '';
+
+  const response = await providers.complete({
+    task: 'translate',
+    settings: options.settings,
+    meter: options.meter,
+    messages: [
+      {
+        role: 'system',
+        content: `Translate the customer support text the user sends${source} into ${target}. Keep the tone, formatting, names, order numbers, links and placeholders such as [CARD_1] unchanged. Respond with only the translation.`
+      },
+      {
+        role: 'user',
+        content: text
+      }
+    ],
+    temperature: 0,
+    maxTokens: Math.min(4000, Math.ceil(text.length / 2) + 200),
+    // A translation must reproduce the text it was given
+    restorePii: 'all'
+  });
+
+  return response.content.trim();
+}
+
+module.exports = {
+  DEFAULT_WORKING_LANGUAGE,
+  normalizeLanguage,
+  getWorkingLanguage,
+  getLanguageSkills,
+  translate
+};
@@ -0,0 +1,158 @@
+/**
+ * Confidence Gating for TicketAI
+ * AI labels are only written to a ticket when the model is confident enough.
+ * Below a tenant's threshold the prediction stays a suggestion on the
+ * classification and the ticket waits in the triage queue for an agent.
+ */
+
+const GATED_FIELDS = ['category', 'priority', 'sentiment'];
+
+// Minimum confidence per field to apply a label without review
+const DEFAULT_THRESHOLDS = {
+  category: 0.6,
+  priority: 0.6,
+  sentiment: 0.5
+};
+
+/**
+ * Get a tenant's confidence thresholds
+ * @param {Object} [settings] - Tenant settings (settings.ai.thresholds)
+ * @returns {Object} { category, priority, sentiment }
+ */
+function getThresholds(settings) {
+  const configured = settings?.ai?.thresholds || {};
+  const thresholds = { ...DEFAULT_THRESHOLDS };
+
+  for (const field of GATED_FIELDS) {
+    const value = configured[field];
+    if (typeof value === 'number' && value >= 0 && value <= 1) {
+      thresholds[field] = value;
+    }
+  }
+
+  return thresholds;
+}
+
+/**
+ * Decide which predicted labels can be applied
+ * @param {Object} classification - Result of classify()
+ * @param {Object} thresholds - Result of getThresholds()
+ * @returns {Object} { applied: [field], pending: [field] }
+ */
+function gateClassification(classification, thresholds) {
+  const applied = [];
+  const pending = [];
+
+  for (const field of GATED_FIELDS) {
+    const confident = (classification.confidence?.[field] ?? 0) >= thresholds[field];
+
+    // A ticket that may be steering the model does not get to pick its priority
+    const blocked = field === 'priority' && classification.injection?.suspected;
+
+    (confident && !blocked ? applied : pending).push(field);
+  }
+
+  return { applied, pending };
+}
+
+/**
+ * Ticket columns for a set of classification fields
+ * @param {Object} values - { category, priority, sentiment, sentimentScore }
+ * @param {Array<string>} fields - Fields to include
+ * @returns {Object} Ticket update
+ */
+function buildLabelUpdate(values, fields) {
+  const updateData = {};
+
+  if (fields.includes('category')) updateData.category = values.category;
+  if (fields.includes('priority')) updateData.priority = values.priority;
+  if (fields.includes('sentiment')) {
+    updateData.sentiment = values.sentiment;
+    updateData.sentiment_score = values.sentimentScore;
+  }
+
+  return updateData;
+}
+
+/**
+ * Columns to store on a new classification row and its ticket
+ * @param {Object} classification - Result of classify()
+ * @param {Object} thresholds - Result of getThresholds()
+ * @returns {Object} { gate, classificationFields, ticketUpdate }
+ *   review_status is "applied" (nothing to review) or "pending"; agents later
+ *   set "accepted" or "rejected", and a newer classification sets "superseded"
+ */
+function applyGate(classification, thresholds) {
+  const gate = gateClassification(classification, thresholds);
+
+  return {
+    gate,
+    classificationFields: {
+      applied_fields: gate.applied,
+      review_status: gate.pending.length > 0 ? 'pending' : 'applied'
+    },
+    ticketUpdate: {
+      ...buildLabelUpdate({
+        category: classification.category,
+        priority: classification.priority,
+        sentiment: classification.sentiment.label,
+        sentimentScore: classification.sentiment.score
+      }, gate.applied),
+      needs_triage: gate.pending.length > 0
+    }
+  };
+}
+
+/**
+ * Get the suggestion a ticket is waiting on
+ * @param {Object} supabase - Supabase client
+ * @param {string} ticketId - Ticket ID
+ * @returns {Object|null} Latest pending classification row
+ */
+async function getPendingClassification(supabase, ticketId) {
+  const { data: classification } = await supabase
+    .from('classifications')
+    .select('*')
+    .eq('ticket_id', ticketId)
+    .eq('review_status', 'pending')
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .single();
+
+  return classification || null;
+}
+
+/**
+ * Retire a ticket's open suggestions before a new classification is stored
+ * @param {Object} supabase - Supabase client
+ * @param {string} ticketId - Ticket ID
+ */
+async function supersedePending(supabase, ticketId) {
+  await supabase
+    .from('classifications')
+    .update({ review_status: 'superseded' })
+    .eq('ticket_id', ticketId)
+    .eq('review_status', 'pending');
+}
+
+/**
+ * Fields of a classification still waiting for review
+ * @param {Object} classification - Classification row
+ * @returns {Array<string>} Pending fields
+ */
+function getPendingFields(classification) {
+  const applied = classification.applied_fields || [];
+  return GATED_FIELDS.filter(field => !applied.includes(field));
+}
+
+module.exports = {
+  GATED_FIELDS,
+  DEFAULT_THRESHOLDS,
+  getThresholds,
+  gateClassification,
+  buildLabelUpdate,
+  applyGate,
+  getPendingClassification,
+  supersedePending,
+  getPendingFields
+};
@@ -0,0 +1,225 @@
+/**
+ * AI Usage Metering for TicketAI
+ * Records tokens and estimated cost of every provider call per tenant and
+ * feature, and enforces monthly budgets by plan. Over budget, optional
+ * features (drafts, summaries, translation, ...) are skipped while ticket
+ * classification keeps running.
+ */
+
+// USD per 1M tokens; models are matched by longest prefix (dated versions included)
+const MODEL_PRICING = {
+  'gpt-4o-mini': { prompt: 0.15, completion: 0.6 },
+  'gpt-4o': { prompt: 2.5, completion: 10 },
+  'gpt-4-turbo': { prompt: 10, completion: 30 },
+  'gpt-4': { prompt: 30, completion: 60 },
+  'gpt-3.5-turbo': { prompt: 0.5, completion: 1.5 },
+  'moonshot-v1-8k': { prompt: 1.7, completion: 1.7 },
+  'moonshot-v1-32k': { prompt: 3.4, completion: 3.4 },
+  'moonshot-v1-128k': { prompt: 8.5, completion: 8.5 },
+  'stub': { prompt: 0, completion: 0 }
+};
+
+// Used for models missing from the table so unknown spend is never free
+const DEFAULT_PRICING = { prompt: 2.5, completion: 10 };
+
+// Monthly AI budget in USD per plan (null = unlimited)
+const PLAN_BUDGETS = {
+  free: 5,
+  starter: 50,
+  pro: 300,
+  enterprise: null
+};
+
+// Features that keep running when the budget is exhausted
+const ESSENTIAL_FEATURES = ['classify', 'analyze'];
+
+const SPEND_CACHE_TTL_SECONDS = 35 * 24 * 60 * 60;
+
+/**
+ * Raised when an optional AI feature is skipped because the tenant is over budget
+ */
+class BudgetExceededError extends Error {
+  constructor(feature, { spent, budget } = {}) {
+    super(`Monthly AI budget exceeded; skipped ${feature}`);
+    this.name = 'BudgetExceededError';
+    this.statusCode = 402;
+    this.feature = feature;
+    this.spent = spent;
+    this.budget = budget;
+  }
+}
+
+/**
+ * Get the price of a model
+ * @param {string} model - Model name reported by the provider
+ * @returns {Object} { prompt, completion } in USD per 1M tokens
+ */
+function getPricing(model) {
+  const name = String(model || '').toLowerCase();
+  const match = Object.keys(MODEL_PRICING)
+    .filter(prefix => name.startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return match ? MODEL_PRICING[match] : DEFAULT_PRICING;
+}
+
+/**
+ * Estimate the cost of a provider call
+ * @param {string} model - Model name
+ * @param {Object} usage - { promptTokens, completionTokens }
+ * @returns {number} Cost in USD
+ */
+function estimateCost(model, usage) {
+  const pricing = getPricing(model);
+  return (
+    (usage?.promptTokens || 0) * pricing.prompt +
+    (usage?.completionTokens || 0) * pricing.completion
+  ) / 1_000_000;
+}
+
+/**
+ * Get a tenant's monthly budget
+ * @param {Object} tenant - Tenant from getTenant()
+ * @returns {number|null} Budget in USD (null = unlimited)
+ */
+function getMonthlyBudget(tenant) {
+  const override = tenant?.settings?.ai?.monthlyBudgetUsd;
+  if (override === null || typeof override === 'number') return override;
+
+  const budget = PLAN_BUDGETS[tenant?.plan || 'free'];
+  return budget === undefined ? PLAN_BUDGETS.free : budget;
+}
+
+/**
+ * First day of the current month (UTC)
+ * @returns {Date}
+ */
+function getMonthStart() {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+}
+
+const spendKey = (tenantId) =>
+  `ai:spend:${tenantId}:${getMonthStart().toISOString().substring(0, 7)}`;
+
+/**
+ * Get a tenant's usage totals per feature, provider and model, summed in
+ * the database (ai_usage_summary in schema.sql)
+ * @param {Object} supabase - Supabase client
+ * @param {string} tenantId - Tenant ID
+ * @param {Date} start - Period start (inclusive)
+ * @param {Date} end - Period end (exclusive)
+ * @returns {Array} Rows of { feature, provider, model, requests, prompt_tokens,
+ *   completion_tokens, total_tokens, cost_usd }
+ */
+async function getUsageSummary(supabase, tenantId, start, end) {
+  const { data: rows, error } = await supabase.rpc('ai_usage_summary', {
+    p_tenant_id: tenantId,
+    p_start: start.toISOString(),
+    p_end: end.toISOString()
+  });
+
+  if (error) throw error;
+
+  return rows || [];
+}
+
+/**
+ * Get a tenant's spend this month, cached in Redis
+ * @param {Object} redis - Redis client
+ * @param {Object} supabase - Supabase client
+ * @param {string} tenantId - Tenant ID
+ * @returns {number} Spend in USD
+ */
+async function getMonthlySpend(redis, supabase, tenantId) {
+  const cached = await redis.get(spendKey(tenantId));
+  if (cached !== null && cached !== undefined) return parseFloat(cached);
+
+  const start = getMonthStart();
+  const end = new Date(start);
+  end.setUTCMonth(end.getUTCMonth() + 1);
+
+  const rows = await getUsageSummary(supabase, tenantId, start, end);
+  const spent = rows.reduce((sum, row) => sum + Number(row.cost_usd || 0), 0);
+  await redis.setex(spendKey(tenantId), SPEND_CACHE_TTL_SECONDS, String(spent));
+
+  return spent;
+}
+
+/**
+ * Create a meter that checks budgets and records usage for one tenant.
+ * Pass it as `meter` to providers.complete() (AI functions accept it in their options).
+ * @param {Object} params - Parameters
+ * @param {Object} params.supabase - Supabase client
+ * @param {Object} params.redis - Redis client
+ * @param {Object} params.tenant - Tenant from getTenant()
+ * @param {string} [params.ticketId] - Ticket the calls are for
+ * @returns {Object} Meter with tenantId, check(feature) and record(feature, response)
+ */
+function createMeter({ supabase, redis, tenant, ticketId = null }) {
+  return {
+    tenantId: tenant.id,
+
+    /**
+     * Throw if the tenant is over budget and the feature is optional
+     * @param {string} feature - AI task name
+     */
+    async check(feature) {
+      if (ESSENTIAL_FEATURES.includes(feature)) return;
+
+      const budget = getMonthlyBudget(tenant);
+      if (budget === null) return;
+
+      const spent = await getMonthlySpend(redis, supabase, tenant.id);
+      if (spent >= budget) {
+        throw new BudgetExceededError(feature, { spent, budget });
+      }
+    },
+
+    /**
+     * Record a completed provider call. Never throws: losing a usage row
+     * must not fail the AI feature that was already paid for.
+     * @param {string} feature - AI task name
+     * @param {Object} response - Provider response ({ usage, model, provider })
+     */
+    async record(feature, response) {
+      const cost = estimateCost(response.model, response.usage);
+
+      try {
+        await supabase
+          .from('ai_usage')
+          .insert({
+            tenant_id: tenant.id,
+            ticket_id: ticketId,
+            feature,
+            provider: response.provider,
+            model: response.model,
+            prompt_tokens: response.usage?.promptTokens || 0,
+            completion_tokens: response.usage?.completionTokens || 0,
+            total_tokens: response.usage?.totalTokens || 0,
+            cost_usd: cost
+          });
+
+        // Only bump the cached total if it exists; a miss reloads from the table
+        if (await redis.get(spendKey(tenant.id)) !== null) {
+          await redis.incrbyfloat(spendKey(tenant.id), cost);
+        }
+      } catch (error) {
+        console.error('AI usage recording error:', error);
+      }
+    }
+  };
+}
+
+module.exports = {
+  MODEL_PRICING,
+  PLAN_BUDGETS,
+  ESSENTIAL_FEATURES,
+  BudgetExceededError,
+  estimateCost,
+  getMonthlyBudget,
+  getMonthStart,
+  getUsageSummary,
+  getMonthlySpend,
+  createMeter
+};
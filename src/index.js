@@ -15,11 +15,18 @@ const analyticsRoutes = require('./routes/analytics');
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const webhookRoutes = require('./routes/webhooks');
+const taxonomyRoutes = require('./routes/taxonomy');
+const spamRoutes = require('./routes/spam');
+const routingRuleRoutes = require('./routes/routing-rules');
 
 // Import middleware
 const { authenticate, requireRole } = require('./middleware/auth');
 const errorHandler = require('./middleware/errorHandler');
 
+// Import workers
+const QueueWorker = require('./utils/queue-worker');
+const RoutingWorker = require('./utils/routing-worker');
+
 // Initialize logger
 const logger = winston.createLogger({
   level: process.env.LOG_LEVEL || 'info',
@@ -96,6 +103,9 @@ app.use('/api/auth', authRoutes);
 app.use('/api/tickets', authenticate, ticketRoutes);
 app.use('/api/analytics', authenticate, analyticsRoutes);
 app.use('/api/users', authenticate, userRoutes);
+app.use('/api/taxonomy', authenticate, taxonomyRoutes);
+app.use('/api/spam', authenticate, spamRoutes);
+app.use('/api/routing-rules', authenticate, routingRuleRoutes);
 app.use('/api/webhooks', webhookRoutes);
 
 // Error handling
@@ -106,6 +116,20 @@ app.use((req, res) => {
   res.status(404).json({ error: 'Endpoint not found' });
 });
 
+// Start AI queue worker (blocking pops need their own Redis connection)
+if (process.env.ENABLE_QUEUE_WORKER !== 'false') {
+  const queueWorker = new QueueWorker(redis.duplicate(), supabase, logger);
+  app.locals.queueWorker = queueWorker;
+  queueWorker.start();
+}
+
+// Start auto-routing worker (consumes ai:routing:queue, filled by the queue worker)
+if (process.env.ENABLE_AUTO_ROUTING === 'true') {
+  const routingWorker = new RoutingWorker(redis.duplicate(), supabase, logger);
+  app.locals.routingWorker = routingWorker;
+  routingWorker.start();
+}
+
 // Start server
 app.listen(PORT, () => {
   logger.info(`TicketAI API server running on port ${PORT}`);
@@ -12,10 +12,12 @@ async function parse(emailData) {
   }
 
   // Otherwise, parse structured email data
+  const headers = normalizeHeaders(emailData.headers);
+
   return {
-    messageId: emailData.messageId || emailData.headers?.['message-id'],
-    inReplyTo: emailData.headers?.['in-reply-to'],
-    references: emailData.headers?.references?.split(/\s+/) || [],
+    messageId: emailData.messageId || headers['message-id'],
+    inReplyTo: headers['in-reply-to'],
+    references: headers.references ? headers.references.split(/\s+/) : [],
     
     from: emailData.from,
     to: Array.isArray(emailData.to) ? emailData.to : [emailData.to],
@@ -33,10 +35,11 @@ async function parse(emailData) {
     attachments: parseAttachments(emailData.attachments || []),
     
     date: emailData.date ? new Date(emailData.date) : new Date(),
+    headers,
     
     // Threading info
     isReply: isReply(emailData.subject),
-    threadId: emailData.threadId || emailData.headers?.['x-thread-id']
+    threadId: emailData.threadId || headers['x-thread-id']
   };
 }
 
@@ -75,6 +78,7 @@ async function parseRawEmail(rawEmail) {
       })) || [],
       
       date: parsed.date || new Date(),
+      headers: normalizeHeaders(parsed.headers),
       
       isReply: isReply(parsed.subject),
       threadId: parsed.threadId
@@ -85,6 +89,63 @@ async function parseRawEmail(rawEmail) {
   }
 }
 
+/**
+ * Flatten a header value to text. mailparser gives structured values for
+ * some headers: { value, params } (content-type keeps its parameters, e.g.
+ * "multipart/report; report-type=delivery-status") and { value, text } for
+ * address lists.
+ * @param {*} value - Header value
+ * @returns {string} Text
+ */
+function headerText(value) {
+  if (typeof value !== 'object' || value === null) return String(value ?? '');
+
+  if (value.params && typeof value.params === 'object') {
+    const params = Object.entries(value.params).map(([name, param]) => `; ${name}=${param}`);
+    return `${value.value ?? ''}${params.join('')}`;
+  }
+
+  if (typeof value.text === 'string') return value.text;
+
+  return String(value.value ?? '');
+}
+
+/**
+ * Normalize headers to an object with lower-case keys and string values
+ * @param {Object|Map|string|Array} headers - Headers as a provider sends them:
+ *   an object, a Map, a raw header block, [name, value] pairs or
+ *   { name, value } objects (SES; Postmark uses { Name, Value })
+ * @returns {Object} Headers
+ */
+function normalizeHeaders(headers) {
+  if (!headers) return {};
+
+  let entries;
+  if (typeof headers === 'string') {
+    // Raw header block; folded continuation lines start with whitespace
+    entries = headers
+      .replace(/\r?\n[ \t]+/g, ' ')
+      .split(/\r?\n/)
+      .filter(line => line.indexOf(':') > 0)
+      .map(line => [line.substring(0, line.indexOf(':')), line.substring(line.indexOf(':') + 1)]);
+  } else if (headers instanceof Map) {
+    entries = [...headers];
+  } else if (Array.isArray(headers)) {
+    entries = headers
+      .map(entry => (Array.isArray(entry) ? entry : [entry?.name ?? entry?.Name, entry?.value ?? entry?.Value]))
+      .filter(([key]) => key);
+  } else {
+    entries = Object.entries(headers);
+  }
+
+  const result = {};
+  for (const [key, value] of entries) {
+    result[String(key).trim().toLowerCase()] = headerText(value).trim();
+  }
+
+  return result;
+}
+
 /**
  * Clean subject line (remove Re:, Fwd: prefixes)
  * @param {string} subject - Raw subject
@@ -245,6 +306,7 @@ function validate(emailData) {
 module.exports = {
   parse,
   parseRawEmail,
+  normalizeHeaders,
   cleanSubject,
   isReply,
   extractEmailAddress,
@@ -0,0 +1,118 @@
+/**
+ * Email Tickets for TicketAI
+ * Turns parsed inbound email into tickets and replies, and queues their AI
+ * processing. Shared by the email webhook and spam release.
+ */
+const duplicates = require('../ai/duplicates');
+
+/**
+ * Create a ticket and its initial message from an email
+ * @param {Object} supabase - Supabase client
+ * @param {Object} redis - Redis client
+ * @param {Object} params - Parameters
+ * @param {string} params.tenantId - Tenant ID
+ * @param {Object} params.email - Parsed email (email-parser.parse())
+ * @param {string} [params.status] - Ticket status; spam tickets are not queued for AI
+ * @param {Object} [params.metadata] - Ticket metadata
+ * @param {Object} [params.settings] - Tenant settings (duplicate detection)
+ * @returns {Object} Ticket row
+ */
+async function createTicketFromEmail(supabase, redis, { tenantId, email, status = 'open', metadata = {}, settings }) {
+  const { data: ticket, error } = await supabase
+    .from('tickets')
+    .insert({
+      tenant_id: tenantId,
+      source: 'email',
+      source_id: email.messageId,
+      customer_email: email.customerEmail,
+      customer_name: email.customerName,
+      subject: email.subject,
+      body: email.body,
+      body_text: email.bodyText,
+      status,
+      metadata
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  // Create initial message
+  const { data: initialMessage } = await supabase
+    .from('ticket_messages')
+    .insert({
+      ticket_id: ticket.id,
+      sender_type: 'customer',
+      sender_email: email.customerEmail,
+      sender_name: email.customerName,
+      body: email.body,
+      body_html: email.bodyHtml,
+      message_id: email.messageId,
+      attachments: email.attachments
+    })
+    .select('id')
+    .single();
+
+  // Link tickets the customer already opened about the same issue
+  if (status !== 'spam') {
+    await duplicates.detectDuplicates(supabase, { tenantId, ticket, settings });
+  }
+
+  // Queue AI classification; the initial message is analyzed with the ticket
+  if (status !== 'spam') {
+    await redis.lpush('ai:classification:queue', JSON.stringify({
+      ticketId: ticket.id,
+      messageId: initialMessage?.id,
+      tenantId,
+      subject: email.subject,
+      body: email.body
+    }));
+  }
+
+  return ticket;
+}
+
+/**
+ * Add an email as a customer reply to an existing ticket
+ * @param {Object} supabase - Supabase client
+ * @param {Object} redis - Redis client
+ * @param {Object} params - Parameters
+ * @param {string} params.tenantId - Tenant ID
+ * @param {string} params.ticketId - Ticket the email replies to
+ * @param {Object} params.email - Parsed email
+ * @returns {Object|null} Message row ({ id })
+ */
+async function addReplyFromEmail(supabase, redis, { tenantId, ticketId, email }) {
+  const { data: reply } = await supabase
+    .from('ticket_messages')
+    .insert({
+      ticket_id: ticketId,
+      sender_type: 'customer',
+      sender_email: email.customerEmail,
+      sender_name: email.customerName,
+      body: email.body,
+      body_html: email.bodyHtml,
+      message_id: email.messageId,
+      in_reply_to: email.inReplyTo,
+      attachments: email.attachments
+    })
+    .select('id')
+    .single();
+
+  // Queue sentiment scoring of the reply
+  if (reply) {
+    await redis.lpush('ai:message:queue', JSON.stringify({
+      ticketId,
+      messageId: reply.id,
+      tenantId,
+      body: email.body
+    }));
+  }
+
+  return reply;
+}
+
+module.exports = {
+  createTicketFromEmail,
+  addReplyFromEmail
+};
@@ -0,0 +1,267 @@
+/**
+ * Spam Filter for TicketAI
+ * Layered checks on inbound email before it becomes a ticket:
+ * 1. Headers: auto-responders, bulk mail and bounces
+ * 2. Tenant sender allowlist/blocklist
+ * 3. AI spam score (new tickets only)
+ * Filtered mail is logged in email_filter_log so admins can release it.
+ */
+const { completeJson } = require('../ai/structured-output');
+const promptSafety = require('../ai/prompt-safety');
+const schemas = require('../ai/schemas');
+const { BudgetExceededError } = require('../ai/usage');
+
+const DEFAULT_AI_THRESHOLD = 0.8;
+
+// What happens to mail caught by each layer: drop (no ticket) or mark (ticket with status spam)
+const DEFAULT_ACTIONS = {
+  auto_responder: 'drop',
+  bounce: 'drop',
+  bulk: 'drop',
+  blocklist: 'drop',
+  ai: 'mark'
+};
+
+const AUTO_REPLY_SUBJECT = /^(?:auto(?:matic)?[\s-]*(?:reply|response)|out of (?:the )?office|abwesenheitsnotiz|r[ée]ponse automatique|respuesta autom[áa]tica)\b/i;
+const BOUNCE_SUBJECT = /^(?:undeliverable|undelivered mail|delivery status notification|mail delivery (?:failed|failure|subsystem)|returned mail|failure notice)\b/i;
+const BOUNCE_SENDER = /^(?:mailer-daemon|postmaster)@/i;
+
+/**
+ * Get a tenant's spam filter settings
+ * @param {Object} [settings] - Tenant settings (settings.spam)
+ * @returns {Object} { enabled, aiEnabled, threshold, blocklist, allowlist, actions }
+ */
+function getSpamSettings(settings) {
+  const spam = settings?.spam || {};
+
+  return {
+    enabled: spam.enabled !== false,
+    aiEnabled: spam.aiEnabled !== false,
+    threshold: typeof spam.threshold === 'number' && spam.threshold > 0 && spam.threshold <= 1
+      ? spam.threshold
+      : DEFAULT_AI_THRESHOLD,
+    blocklist: (spam.blocklist || []).map(entry => String(entry).trim().toLowerCase()),
+    allowlist: (spam.allowlist || []).map(entry => String(entry).trim().toLowerCase()),
+    actions: { ...DEFAULT_ACTIONS, ...(spam.actions || {}) }
+  };
+}
+
+/**
+ * Check whether a sender matches a list of addresses and domains
+ * ("jane@example.com", "example.com" or "@example.com")
+ * @param {string} email - Sender address
+ * @param {Array<string>} list - Lower-cased entries
+ * @returns {string|null} Matching entry
+ */
+function matchSender(email, list) {
+  const address = String(email || '').toLowerCase();
+  const domain = address.split('@')[1] || '';
+
+  return list.find(entry => {
+    if (entry.includes('@') && !entry.startsWith('@')) return entry === address;
+    const entryDomain = entry.replace(/^@/, '');
+    return domain === entryDomain || domain.endsWith(`.${entryDomain}`);
+  }) || null;
+}
+
+/**
+ * Layer 1: headers and tell-tale subjects of machine-generated mail
+ * @param {Object} email - Parsed email (email-parser.parse())
+ * @returns {Object|null} { layer, category, reason } when caught
+ */
+function checkHeaders(email) {
+  const headers = email.headers || {};
+  const caught = (category, reason) => ({ layer: 'headers', category, reason });
+
+  const autoSubmitted = (headers['auto-submitted'] || '').toLowerCase();
+  if (autoSubmitted && autoSubmitted !== 'no') {
+    return caught('auto_responder', `Auto-Submitted: ${autoSubmitted}`);
+  }
+
+  if (headers['x-autoreply'] || headers['x-autorespond'] || headers['x-autoresponder']) {
+    return caught('auto_responder', 'X-Autoreply header');
+  }
+
+  const contentType = (headers['content-type'] || '').toLowerCase();
+  if (BOUNCE_SENDER.test(email.customerEmail || '') || contentType.includes('report-type=delivery-status')) {
+    return caught('bounce', 'Delivery status notification');
+  }
+
+  // Precedence: list is left alone: support addresses behind a group alias
+  // (e.g. Google Groups) receive every customer email with it
+  const precedence = (headers.precedence || '').toLowerCase();
+  if (['bulk', 'junk'].includes(precedence)) {
+    return caught('bulk', `Precedence: ${precedence}`);
+  }
+
+  if (BOUNCE_SUBJECT.test(email.subject || '')) {
+    return caught('bounce', 'Bounce subject');
+  }
+
+  if (AUTO_REPLY_SUBJECT.test(email.subject || '')) {
+    return caught('auto_responder', 'Auto-reply subject');
+  }
+
+  return null;
+}
+
+/**
+ * Layer 3: ask the tenant's AI provider how likely the email is spam
+ * @param {Object} email - Parsed email
+ * @param {Object} [options] - Options
+ * @param {Object} [options.settings] - Tenant settings (selects provider/model)
+ * @param {Object} [options.meter] - Usage meter (see usage.createMeter)
+ * @returns {Object|null} { score, reason } (null when unavailable)
+ */
+async function scoreSpam(email, options = {}) {
+  const prompt = `Rate how likely the following inbound support email is spam (unsolicited marketing, phishing, scams or SEO/link offers) rather than a real customer request.
+
+From: ${email.customerEmail}
+Ticket Subject:
+${promptSafety.wrapUntrusted('subject', email.subject)}
+Ticket Body:
+${promptSafety.wrapUntrusted('body', (email.body || '').substring(0, 4000))}
+
+Respond in JSON format:
+{
+  "score": number,
+  "reason": "string"
+}`;
+
+  try {
+    const response = await completeJson({
+      task: 'spam',
+      schema: schemas.spamResponseSchema,
+      settings: options.settings,
+      meter: options.meter,
+      messages: [
+        {
+          role: 'system',
+          content: `You filter spam for a customer support inbox. Score from 0.0 (certainly a real customer) to 1.0 (certainly spam). ${promptSafety.UNTRUSTED_DATA_INSTRUCTION}`
+        },
+        {
+          role: 'user',
+          content: prompt
+        }
+      ],
+      temperature: 0
+    });
+
+    return response.data;
+  } catch (error) {
+    // Without a score the mail is let through; a missed spam is cheaper than a lost customer
+    if (!(error instanceof BudgetExceededError)) {
+      console.error('Spam scoring error:', error);
+    }
+    return null;
+  }
+}
+
+/**
+ * Run the filter layers on an inbound email
+ * @param {Object} email - Parsed email (email-parser.parse())
+ * @param {Object} [options] - Options
+ * @param {Object} [options.settings] - Tenant settings
+ * @param {Object} [options.meter] - Usage meter for the AI layer
+ * @param {boolean} [options.useAi] - Run the AI layer (new tickets only)
+ * @returns {Object} { action: 'allow'|'mark'|'drop', layer?, category?, reason?, score? }
+ */
+async function evaluate(email, { settings, meter, useAi = true } = {}) {
+  const config = getSpamSettings(settings);
+  if (!config.enabled) return { action: 'allow' };
+
+  const allowed = matchSender(email.customerEmail, config.allowlist);
+  if (allowed) return { action: 'allow', reason: `Allowlisted: ${allowed}` };
+
+  const headerMatch = checkHeaders(email);
+  if (headerMatch) {
+    return { action: config.actions[headerMatch.category], ...headerMatch };
+  }
+
+  const blocked = matchSender(email.customerEmail, config.blocklist);
+  if (blocked) {
+    return {
+      action: config.actions.blocklist,
+      layer: 'blocklist',
+      category: 'blocklist',
+      reason: `Blocklisted: ${blocked}`
+    };
+  }
+
+  if (useAi && config.aiEnabled) {
+    const result = await scoreSpam(email, { settings, meter });
+    if (result && result.score >= config.threshold) {
+      return {
+        action: config.actions.ai,
+        layer: 'ai',
+        category: 'spam',
+        reason: result.reason || 'AI spam score',
+        score: result.score
+      };
+    }
+
+    return { action: 'allow', score: result?.score ?? null };
+  }
+
+  return { action: 'allow' };
+}
+
+/**
+ * Record a filtered email so it can be reviewed and released
+ * @param {Object} supabase - Supabase client
+ * @param {Object} params - Parameters
+ * @param {string} params.tenantId - Tenant ID
+ * @param {Object} params.email - Parsed email
+ * @param {Object} params.decision - Result of evaluate()
+ * @param {string} [params.ticketId] - Ticket created with status spam (mark)
+ * @param {string} [params.existingTicketId] - Ticket the email replied to
+ * @returns {Object} email_filter_log row
+ */
+async function logDecision(supabase, { tenantId, email, decision, ticketId = null, existingTicketId = null }) {
+  const { data: entry, error } = await supabase
+    .from('email_filter_log')
+    .insert({
+      tenant_id: tenantId,
+      message_id: email.messageId || null,
+      from_email: email.customerEmail,
+      subject: email.subject,
+      action: decision.action === 'drop' ? 'dropped' : 'marked',
+      layer: decision.layer,
+      category: decision.category,
+      reason: decision.reason,
+      score: decision.score ?? null,
+      ticket_id: ticketId,
+      reply_to_ticket_id: existingTicketId,
+      // Everything needed to create the ticket if an admin releases it
+      email: {
+        customerEmail: email.customerEmail,
+        customerName: email.customerName,
+        subject: email.subject,
+        body: email.body,
+        bodyText: email.bodyText,
+        bodyHtml: email.bodyHtml,
+        messageId: email.messageId,
+        inReplyTo: email.inReplyTo,
+        attachments: email.attachments,
+        headers: email.headers
+      },
+      status: 'quarantined'
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  return entry;
+}
+
+module.exports = {
+  DEFAULT_AI_THRESHOLD,
+  DEFAULT_ACTIONS,
+  getSpamSettings,
+  matchSender,
+  checkHeaders,
+  scoreSpam,
+  evaluate,
+  logDecision
+};
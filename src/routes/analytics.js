@@ -1,5 +1,10 @@
 const express = require('express');
 const router = express.Router();
+const { calculateAccuracy } = require('../ai/feedback');
+const { getMetrics: getStructuredOutputMetrics } = require('../ai/structured-output');
+const usage = require('../ai/usage');
+const { requireRole } = require('../middleware/auth');
+const { getTenant } = require('../utils/db');
 
 /**
  * GET /api/analytics/dashboard
@@ -91,11 +96,12 @@ router.get('/dashboard', async (req, res, next) => {
       return acc;
     }, {}) || {};
 
-    // Get sentiment distribution
+    // Get sentiment distribution (failed classifications are not results)
     const { data: sentimentData } = await supabase
       .from('tickets')
       .select('sentiment')
       .eq('tenant_id', tenantId)
+      .neq('ai_status', 'failed')
       .gte('created_at', startDate.toISOString());
 
     const sentimentBreakdown = sentimentData?.reduce((acc, t) => {
@@ -108,6 +114,15 @@ router.get('/dashboard', async (req, res, next) => {
       .from('tickets')
       .select('category')
       .eq('tenant_id', tenantId)
+      .neq('ai_status', 'failed')
+      .gte('created_at', startDate.toISOString());
+
+    // Count tickets whose AI classification failed
+    const { count: aiFailedCount } = await supabase
+      .from('tickets')
+      .select('id', { count: 'exact', head: true })
+      .eq('tenant_id', tenantId)
+      .eq('ai_status', 'failed')
       .gte('created_at', startDate.toISOString());
 
     const categoryBreakdown = categoryData?.reduce((acc, t) => {
@@ -136,7 +151,8 @@ router.get('/dashboard', async (req, res, next) => {
         avgResponseTime,
         avgResolutionTime,
         openTickets: statusBreakdown.open || 0,
-        pendingTickets: statusBreakdown.pending || 0
+        pendingTickets: statusBreakdown.pending || 0,
+        aiFailedTickets: aiFailedCount || 0
       },
       breakdown: {
         status: statusBreakdown,
@@ -325,4 +341,249 @@ router.get('/agents', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/analytics/ai-accuracy
+ * Get AI classification precision/recall and confusion matrix from agent feedback
+ */
+router.get('/ai-accuracy', async (req, res, next) => {
+  try {
+    const supabase = req.app.locals.supabase;
+    const tenantId = req.user.tenantId;
+
+    const { period = '30d', field = 'category', reviewedOnly = 'false' } = req.query;
+
+    if (!['category', 'priority'].includes(field)) {
+      return res.status(400).json({ error: 'field must be category or priority' });
+    }
+
+    const now = new Date();
+    let startDate = new Date();
+    startDate.setDate(now.getDate() - (parseInt(period) || 30));
+
+    // Classifications have no tenant_id; scope through the ticket
+    const { data: classifications, error } = await supabase
+      .from('classifications')
+      .select(`
+        ticket_id,
+        predicted_category,
+        predicted_priority,
+        was_correct,
+        corrected_category,
+        priority_was_correct,
+        corrected_priority,
+        model_version,
+        created_at,
+        tickets!inner(tenant_id, status, category, priority)
+      `)
+      .eq('tickets.tenant_id', tenantId)
+      .gte('created_at', startDate.toISOString());
+
+    if (error) throw error;
+
+    const report = calculateAccuracy(classifications || [], {
+      field,
+      reviewedOnly: reviewedOnly === 'true'
+    });
+
+    res.json({
+      ...report,
+      period,
+      dateRange: {
+        from: startDate.toISOString(),
+        to: now.toISOString()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/analytics/ai-tokens
+ * Get tokens spent on ticket analysis, per analysis mode and model, so the
+ * combined single-call analysis can be compared with per-task classification
+ */
+router.get('/ai-tokens', async (req, res, next) => {
+  try {
+    const supabase = req.app.locals.supabase;
+    const tenantId = req.user.tenantId;
+
+    const { period = '30d' } = req.query;
+
+    const now = new Date();
+    let startDate = new Date();
+    startDate.setDate(now.getDate() - (parseInt(period) || 30));
+
+    const { data: classifications, error } = await supabase
+      .from('classifications')
+      .select(`
+        ticket_id,
+        analysis_mode,
+        model_version,
+        prompt_tokens,
+        completion_tokens,
+        tokens_used,
+        tickets!inner(tenant_id)
+      `)
+      .eq('tickets.tenant_id', tenantId)
+      .gte('created_at', startDate.toISOString());
+
+    if (error) throw error;
+
+    // Group by analysis mode and model
+    const groups = {};
+    for (const c of classifications || []) {
+      if (c.tokens_used == null) continue;
+
+      const mode = c.analysis_mode || 'classify';
+      const key = `${mode}|${c.model_version}`;
+      if (!groups[key]) {
+        groups[key] = {
+          mode,
+          model: c.model_version,
+          requests: 0,
+          tickets: new Set(),
+          promptTokens: 0,
+          completionTokens: 0,
+          totalTokens: 0
+        };
+      }
+
+      const group = groups[key];
+      group.requests++;
+      group.tickets.add(c.ticket_id);
+      group.promptTokens += c.prompt_tokens || 0;
+      group.completionTokens += c.completion_tokens || 0;
+      group.totalTokens += c.tokens_used || 0;
+    }
+
+    const usage = Object.values(groups).map(group => ({
+      ...group,
+      tickets: group.tickets.size,
+      avgTokensPerTicket: Math.round(group.totalTokens / group.tickets.size)
+    }));
+
+    res.json({
+      usage,
+      period,
+      dateRange: {
+        from: startDate.toISOString(),
+        to: now.toISOString()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/analytics/ai-usage
+ * Get AI tokens and estimated cost for a month (YYYY-MM, default current),
+ * per feature and model, with the tenant's monthly budget
+ */
+router.get('/ai-usage', async (req, res, next) => {
+  try {
+    const supabase = req.app.locals.supabase;
+    const tenantId = req.user.tenantId;
+
+    const currentMonth = usage.getMonthStart().toISOString().substring(0, 7);
+    const { month = currentMonth } = req.query;
+
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+      return res.status(400).json({ error: 'month must be YYYY-MM' });
+    }
+
+    const startDate = new Date(`${month}-01T00:00:00.000Z`);
+    const endDate = new Date(startDate);
+    endDate.setUTCMonth(endDate.getUTCMonth() + 1);
+
+    // One row per feature/provider/model, already summed in the database
+    const rows = await usage.getUsageSummary(supabase, tenantId, startDate, endDate);
+
+    const emptyTotals = () => ({
+      requests: 0,
+      promptTokens: 0,
+      completionTokens: 0,
+      totalTokens: 0,
+      costUsd: 0
+    });
+    // bigint and decimal sums arrive as strings
+    const add = (totals, row) => {
+      totals.requests += Number(row.requests || 0);
+      totals.promptTokens += Number(row.prompt_tokens || 0);
+      totals.completionTokens += Number(row.completion_tokens || 0);
+      totals.totalTokens += Number(row.total_tokens || 0);
+      totals.costUsd += Number(row.cost_usd || 0);
+    };
+
+    const totals = emptyTotals();
+    const byFeature = {};
+    const byModel = {};
+
+    for (const row of rows) {
+      add(totals, row);
+
+      if (!byFeature[row.feature]) byFeature[row.feature] = emptyTotals();
+      add(byFeature[row.feature], row);
+
+      const modelKey = `${row.provider}/${row.model}`;
+      if (!byModel[modelKey]) {
+        byModel[modelKey] = { provider: row.provider, model: row.model, ...emptyTotals() };
+      }
+      add(byModel[modelKey], row);
+    }
+
+    const round = (value) => Math.round(value * 10000) / 10000;
+    const roundCost = (entry) => ({ ...entry, costUsd: round(entry.costUsd) });
+
+    const tenant = await getTenant(supabase, tenantId);
+    const limit = usage.getMonthlyBudget(tenant);
+
+    res.json({
+      month,
+      totals: roundCost(totals),
+      features: Object.entries(byFeature)
+        .map(([feature, entry]) => roundCost({ feature, ...entry }))
+        .sort((a, b) => b.costUsd - a.costUsd),
+      models: Object.values(byModel)
+        .map(roundCost)
+        .sort((a, b) => b.costUsd - a.costUsd),
+      budget: {
+        plan: tenant.plan || 'free',
+        limitUsd: limit,
+        spentUsd: round(totals.costUsd),
+        remainingUsd: limit === null ? null : Math.max(0, round(limit - totals.costUsd)),
+        exceeded: limit !== null && totals.costUsd >= limit,
+        // Over budget, everything else is skipped
+        essentialFeatures: usage.ESSENTIAL_FEATURES
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/analytics/ai-output
+ * How often AI JSON output was valid, repaired, re-asked or failed, per
+ * provider/model for the tenant, since this server started (admin only)
+ */
+router.get('/ai-output', requireRole(['admin']), (req, res) => {
+  res.json(getStructuredOutputMetrics(req.user.tenantId));
+});
+
+/**
+ * GET /api/analytics/ai-cache
+ * Response cache hits, misses and hit rate per task for the tenant, from the
+ * queue worker running in this process (admin only)
+ */
+router.get('/ai-cache', requireRole(['admin']), (req, res) => {
+  const queueWorker = req.app.locals.queueWorker;
+  if (!queueWorker) {
+    return res.status(404).json({ error: 'Queue worker is not running on this server' });
+  }
+
+  res.json(queueWorker.getStats(req.user.tenantId).responseCache);
+});
+
 module.exports = router;
@@ -0,0 +1,501 @@
+const express = require('express');
+const router = express.Router();
+const { z } = require('zod');
+const { requireRole } = require('../middleware/auth');
+const routerAI = require('../ai/router');
+const taxonomy = require('../ai/taxonomy');
+const { routingConditionsSchema } = require('../utils/validators');
+const { partitionRules, loadRoutingContext } = require('../utils/routing');
+
+const ruleFields = {
+  name: z.string().min(1).max(100),
+  description: z.string().max(1000).optional().nullable(),
+  conditions: routingConditionsSchema,
+  assignToTeam: z.string().uuid().optional().nullable(),
+  assignToUser: z.string().uuid().optional().nullable(),
+  setPriority: z.string().min(1).max(20).optional().nullable(),
+  addTags: z.array(z.string().min(1).max(50)).max(20).optional(),
+  isActive: z.boolean().optional(),
+  priority: z.number().int().optional()
+};
+
+const hasAction = (rule) => Boolean(
+  rule.assignToTeam || rule.assignToUser || rule.setPriority || rule.addTags?.length
+);
+
+const createRuleSchema = z.object(ruleFields).refine(hasAction, {
+  message: 'A rule needs at least one action: assignToTeam, assignToUser, setPriority or addTags'
+});
+
+const updateRuleSchema = z.object(ruleFields).partial();
+
+const reorderSchema = z.object({
+  // Highest priority first; every rule of the tenant
+  ruleIds: z.array(z.string().uuid()).min(1)
+});
+
+const toggleSchema = z.object({
+  // Flips the current state when omitted
+  isActive: z.boolean().optional()
+});
+
+const simulateSchema = z.object({
+  // Sample ticket (ticket columns, e.g. subject, body, category, customer_email, tags)
+  ticket: z.record(z.any()).optional(),
+  ticketIds: z.array(z.string().uuid()).min(1).max(50).optional(),
+  // Most recent N tickets of the tenant
+  last: z.number().int().min(1).max(100).optional(),
+  // Unsaved rule to evaluate alongside the saved ones
+  rule: z.object(ruleFields).optional(),
+  includeInactive: z.boolean().default(false),
+  // Time to evaluate $businessHours/$schedule at
+  at: z.string().datetime().optional()
+}).refine(data => data.ticket || data.ticketIds || data.last, {
+  message: 'Provide ticket, ticketIds or last'
+});
+
+// Rules are evaluated highest priority first; reorder spaces them out
+const PRIORITY_STEP = 10;
+
+/**
+ * Convert an API rule to routing_rules columns
+ * @param {Object} data - Parsed rule fields
+ * @returns {Object} Row fields that were provided
+ */
+function toRuleRow(data) {
+  const row = {};
+
+  if (data.name !== undefined) row.name = data.name;
+  if (data.description !== undefined) row.description = data.description;
+  if (data.conditions !== undefined) row.conditions = data.conditions;
+  if (data.assignToTeam !== undefined) row.assign_to_team = data.assignToTeam;
+  if (data.assignToUser !== undefined) row.assign_to_user = data.assignToUser;
+  if (data.setPriority !== undefined) row.set_priority = data.setPriority;
+  if (data.addTags !== undefined) row.add_tags = data.addTags;
+  if (data.isActive !== undefined) row.is_active = data.isActive;
+  if (data.priority !== undefined) row.priority = data.priority;
+
+  return row;
+}
+
+/**
+ * Check that a rule's targets belong to the tenant
+ * @param {Object} supabase - Supabase client
+ * @param {string} tenantId - Tenant ID
+ * @param {Object} data - Parsed rule fields
+ * @returns {string|null} Error message
+ */
+async function validateRuleTargets(supabase, tenantId, data) {
+  if (data.assignToTeam) {
+    const { data: team } = await supabase
+      .from('teams')
+      .select('id')
+      .eq('id', data.assignToTeam)
+      .eq('tenant_id', tenantId)
+      .single();
+
+    if (!team) return 'Team not found';
+  }
+
+  if (data.assignToUser) {
+    const { data: user } = await supabase
+      .from('users')
+      .select('id')
+      .eq('id', data.assignToUser)
+      .eq('tenant_id', tenantId)
+      .single();
+
+    if (!user) return 'User not found';
+  }
+
+  if (data.setPriority) {
+    const tenantTaxonomy = await taxonomy.loadTaxonomy(supabase, tenantId);
+    if (!taxonomy.isValidLabel(tenantTaxonomy.priorities, data.setPriority)) {
+      return `Unknown priority: ${data.setPriority}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * GET /api/routing-rules
+ * List routing rules in evaluation order, flagging rules with invalid conditions
+ */
+router.get('/', requireRole(['admin', 'manager']), async (req, res, next) => {
+  try {
+    const supabase = req.app.locals.supabase;
+    const tenantId = req.user.tenantId;
+
+    const { data: rules, error } = await supabase
+      .from('routing_rules')
+      .select('*')
+      .eq('tenant_id', tenantId)
+      .order('priority', { ascending: false })
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    const { invalid } = partitionRules(rules);
+    const invalidIds = new Set(invalid.map(rule => rule.id));
+
+    res.json({
+      rules: (rules || []).map(rule => ({ ...rule, valid: !invalidIds.has(rule.id) }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/routing-rules/simulate
+ * Dry-run routing for a sample ticket or recent tickets without changing anything
+ */
+router.post('/simulate', requireRole(['admin', 'manager']), async (req, res, next) => {
+  try {
+    const supabase = req.app.locals.supabase;
+    const redis = req.app.locals.redis;
+    const tenantId = req.user.tenantId;
+
+    const data = simulateSchema.parse(req.body);
+
+    const context = await loadRoutingContext(supabase, tenantId, {
+      includeInactive: data.includeInactive,
+      redis
+    });
+
+    // An unsaved rule is evaluated like a saved one (default: before all others)
+    const rules = [...context.rules];
+    if (data.rule) {
+      const topPriority = rules.reduce((max, rule) => Math.max(max, rule.priority || 0), 0);
+      rules.push({
+        id: 'draft',
+        ...toRuleRow(data.rule),
+        priority: data.rule.priority ?? topPriority + 1
+      });
+    }
+
+    let tickets = [];
+    if (data.ticket) {
+      tickets.push({ id: null, ...data.ticket });
+    }
+
+    if (data.ticketIds || data.last) {
+      let query = supabase
+        .from('tickets')
+        .select('*')
+        .eq('tenant_id', tenantId);
+
+      query = data.ticketIds
+        ? query.in('id', data.ticketIds)
+        : query.order('created_at', { ascending: false }).limit(data.last);
+
+      const { data: rows, error } = await query;
+
+      if (error) throw error;
+      tickets = tickets.concat(rows || []);
+    }
+
+    const now = data.at ? new Date(data.at) : new Date();
+    const rulesById = new Map(rules.map(rule => [rule.id, rule]));
+    const teamsById = new Map(context.teams.map(team => [team.id, team]));
+    const agentsById = new Map(context.agents.map(agent => [agent.id, agent]));
+
+    const results = [];
+    for (const ticket of tickets) {
+      const routing = await routerAI.route({
+        ticket,
+        agents: context.agents,
+        teams: context.teams,
+        rules,
+        taxonomy: context.taxonomy,
+        intentActions: context.intentActions,
+        businessHours: context.businessHours,
+        now
+      });
+
+      const rule = routing.ruleId ? rulesById.get(routing.ruleId) : null;
+      const team = teamsById.get(routing.assignToTeam);
+      const agent = agentsById.get(routing.assignToUser);
+
+      results.push({
+        ticketId: ticket.id,
+        subject: ticket.subject,
+        matchedRule: rule ? { id: rule.id, name: rule.name } : null,
+        routing,
+        team: team ? { id: team.id, name: team.name } : null,
+        agent: agent ? { id: agent.id, firstName: agent.first_name, lastName: agent.last_name } : null,
+        current: ticket.id
+          ? { assignedTeam: ticket.assigned_team, assignedTo: ticket.assigned_to, priority: ticket.priority }
+          : null
+      });
+    }
+
+    // How many tickets each rule would take
+    const ruleCounts = {};
+    for (const result of results) {
+      const key = result.matchedRule?.id || 'none';
+      ruleCounts[key] = (ruleCounts[key] || 0) + 1;
+    }
+
+    res.json({
+      results,
+      summary: {
+        tickets: results.length,
+        matched: results.filter(result => result.matchedRule).length,
+        byRule: ruleCounts
+      },
+      skippedRules: context.invalidRules.map(rule => ({ id: rule.id, name: rule.name })),
+      evaluatedAt: now.toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/routing-rules/reorder
+ * Set evaluation order (first rule is evaluated first)
+ */
+router.post('/reorder', requireRole(['admin', 'manager']), async (req, res, next) => {
+  try {
+    const supabase = req.app.locals.supabase;
+    const tenantId = req.user.tenantId;
+
+    const { ruleIds } = reorderSchema.parse(req.body);
+
+    const { data: rules, error } = await supabase
+      .from('routing_rules')
+      .select('id')
+      .eq('tenant_id', tenantId);
+
+    if (error) throw error;
+
+    const existingIds = new Set((rules || []).map(rule => rule.id));
+    const requestedIds = new Set(ruleIds);
+
+    if (requestedIds.size !== ruleIds.length) {
+      return res.status(400).json({ error: 'ruleIds must not contain duplicates' });
+    }
+
+    if (ruleIds.some(ruleId => !existingIds.has(ruleId))) {
+      return res.status(404).json({ error: 'Routing rule not found' });
+    }
+
+    if (requestedIds.size !== existingIds.size) {
+      return res.status(400).json({ error: 'ruleIds must list every routing rule' });
+    }
+
+    for (const [index, ruleId] of ruleIds.entries()) {
+      const { error: updateError } = await supabase
+        .from('routing_rules')
+        .update({ priority: (ruleIds.length - index) * PRIORITY_STEP })
+        .eq('id', ruleId)
+        .eq('tenant_id', tenantId);
+
+      if (updateError) throw updateError;
+    }
+
+    res.json({
+      rules: ruleIds.map((ruleId, index) => ({
+        id: ruleId,
+        priority: (ruleIds.length - index) * PRIORITY_STEP
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/routing-rules/:id
+ * Get a routing rule
+ */
+router.get('/:id', requireRole(['admin', 'manager']), async (req, res, next) => {
+  try {
+    const supabase = req.app.locals.supabase;
+    const tenantId = req.user.tenantId;
+    const { id } = req.params;
+
+    const { data: rule } = await supabase
+      .from('routing_rules')
+      .select('*')
+      .eq('id', id)
+      .eq('tenant_id', tenantId)
+      .single();
+
+    if (!rule) {
+      return res.status(404).json({ error: 'Routing rule not found' });
+    }
+
+    res.json({ rule: { ...rule, valid: partitionRules([rule]).invalid.length === 0 } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/routing-rules
+ * Create a routing rule
+ */
+router.post('/', requireRole(['admin', 'manager']), async (req, res, next) => {
+  try {
+    const supabase = req.app.locals.supabase;
+    const tenantId = req.user.tenantId;
+
+    const data = createRuleSchema.parse(req.body);
+
+    const targetError = await validateRuleTargets(supabase, tenantId, data);
+    if (targetError) {
+      return res.status(400).json({ error: targetError });
+    }
+
+    const { data: rule, error } = await supabase
+      .from('routing_rules')
+      .insert({
+        tenant_id: tenantId,
+        add_tags: [],
+        is_active: true,
+        priority: 0,
+        ...toRuleRow(data)
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.status(201).json({ rule });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/routing-rules/:id
+ * Update a routing rule
+ */
+router.patch('/:id', requireRole(['admin', 'manager']), async (req, res, next) => {
+  try {
+    const supabase = req.app.locals.supabase;
+    const tenantId = req.user.tenantId;
+    const { id } = req.params;
+
+    const data = updateRuleSchema.parse(req.body);
+
+    const { data: existingRule } = await supabase
+      .from('routing_rules')
+      .select('*')
+      .eq('id', id)
+      .eq('tenant_id', tenantId)
+      .single();
+
+    if (!existingRule) {
+      return res.status(404).json({ error: 'Routing rule not found' });
+    }
+
+    const targetError = await validateRuleTargets(supabase, tenantId, data);
+    if (targetError) {
+      return res.status(400).json({ error: targetError });
+    }
+
+    const merged = {
+      assignToTeam: data.assignToTeam !== undefined ? data.assignToTeam : existingRule.assign_to_team,
+      assignToUser: data.assignToUser !== undefined ? data.assignToUser : existingRule.assign_to_user,
+      setPriority: data.setPriority !== undefined ? data.setPriority : existingRule.set_priority,
+      addTags: data.addTags !== undefined ? data.addTags : existingRule.add_tags
+    };
+    if (!hasAction(merged)) {
+      return res.status(400).json({ error: 'A rule needs at least one action' });
+    }
+
+    const { data: rule, error } = await supabase
+      .from('routing_rules')
+      .update(toRuleRow(data))
+      .eq('id', id)
+      .eq('tenant_id', tenantId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.json({ rule });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/routing-rules/:id/toggle
+ * Activate or deactivate a routing rule
+ */
+router.post('/:id/toggle', requireRole(['admin', 'manager']), async (req, res, next) => {
+  try {
+    const supabase = req.app.locals.supabase;
+    const tenantId = req.user.tenantId;
+    const { id } = req.params;
+
+    const { isActive } = toggleSchema.parse(req.body || {});
+
+    const { data: existingRule } = await supabase
+      .from('routing_rules')
+      .select('id, is_active, conditions')
+      .eq('id', id)
+      .eq('tenant_id', tenantId)
+      .single();
+
+    if (!existingRule) {
+      return res.status(404).json({ error: 'Routing rule not found' });
+    }
+
+    const nextActive = isActive ?? !existingRule.is_active;
+
+    // A rule that can never match should be fixed before it goes live
+    if (nextActive && partitionRules([existingRule]).invalid.length > 0) {
+      return res.status(400).json({ error: 'Rule conditions are invalid; update them before activating' });
+    }
+
+    const { data: rule, error } = await supabase
+      .from('routing_rules')
+      .update({ is_active: nextActive })
+      .eq('id', id)
+      .eq('tenant_id', tenantId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.json({ rule });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/routing-rules/:id
+ * Delete a routing rule
+ */
+router.delete('/:id', requireRole(['admin', 'manager']), async (req, res, next) => {
+  try {
+    const supabase = req.app.locals.supabase;
+    const tenantId = req.user.tenantId;
+    const { id } = req.params;
+
+    const { data: rule, error } = await supabase
+      .from('routing_rules')
+      .delete()
+      .eq('id', id)
+      .eq('tenant_id', tenantId)
+      .select()
+      .single();
+
+    if (error || !rule) {
+      return res.status(404).json({ error: 'Routing rule not found' });
+    }
+
+    res.json({ message: 'Routing rule deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,260 @@
+const express = require('express');
+const router = express.Router();
+const { z } = require('zod');
+const { requireRole } = require('../middleware/auth');
+const spamFilter = require('../ingestion/spam-filter');
+const { createTicketFromEmail, addReplyFromEmail } = require('../ingestion/email-tickets');
+
+const listQuerySchema = z.object({
+  status: z.enum(['quarantined', 'released']).optional(),
+  layer: z.enum(['headers', 'blocklist', 'ai']).optional(),
+  action: z.enum(['dropped', 'marked']).optional(),
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce.number().int().min(1).max(100).default(20)
+});
+
+const releaseSchema = z.object({
+  allowSender: z.boolean().default(false)
+});
+
+const senderEntry = z.string().trim().toLowerCase().min(3).max(254);
+
+const updateListsSchema = z.object({
+  blocklist: z.array(senderEntry).max(1000).optional(),
+  allowlist: z.array(senderEntry).max(1000).optional()
+});
+
+/**
+ * Save changes to a tenant's spam settings
+ * @param {Object} supabase - Supabase client
+ * @param {string} tenantId - Tenant ID
+ * @param {Function} update - Receives settings.spam, returns the new value
+ * @returns {Object} New settings.spam
+ */
+async function updateSpamSettings(supabase, tenantId, update) {
+  const { data: tenant, error } = await supabase
+    .from('tenants')
+    .select('settings')
+    .eq('id', tenantId)
+    .single();
+
+  if (error) throw error;
+
+  const settings = tenant.settings || {};
+  const spam = update(settings.spam || {});
+
+  const { error: updateError } = await supabase
+    .from('tenants')
+    .update({ settings: { ...settings, spam } })
+    .eq('id', tenantId);
+
+  if (updateError) throw updateError;
+
+  return spam;
+}
+
+/**
+ * GET /api/spam
+ * List filtered inbound email (admin only)
+ */
+router.get('/', requireRole(['admin']), async (req, res, next) => {
+  try {
+    const supabase = req.app.locals.supabase;
+    const tenantId = req.user.tenantId;
+
+    const { status, layer, action, page, limit } = listQuerySchema.parse(req.query);
+    const from = (page - 1) * limit;
+    const to = from + limit - 1;
+
+    let query = supabase
+      .from('email_filter_log')
+      .select('id, message_id, from_email, subject, action, layer, category, reason, score, ticket_id, reply_to_ticket_id, status, released_by, released_at, created_at', { count: 'exact' })
+      .eq('tenant_id', tenantId);
+
+    if (status) query = query.eq('status', status);
+    if (layer) query = query.eq('layer', layer);
+    if (action) query = query.eq('action', action);
+
+    const { data: entries, error, count } = await query
+      .order('created_at', { ascending: false })
+      .range(from, to);
+
+    if (error) throw error;
+
+    res.json({
+      entries,
+      pagination: {
+        page,
+        limit,
+        total: count,
+        totalPages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/spam/lists
+ * Get the tenant's sender blocklist and allowlist (admin only)
+ */
+router.get('/lists', requireRole(['admin']), async (req, res, next) => {
+  try {
+    const supabase = req.app.locals.supabase;
+    const tenantId = req.user.tenantId;
+
+    const { data: tenant, error } = await supabase
+      .from('tenants')
+      .select('settings')
+      .eq('id', tenantId)
+      .single();
+
+    if (error) throw error;
+
+    const { blocklist, allowlist } = spamFilter.getSpamSettings(tenant.settings);
+
+    res.json({ blocklist, allowlist });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/spam/lists
+ * Replace the tenant's sender blocklist and/or allowlist (admin only).
+ * Entries are addresses ("jane@example.com") or domains ("example.com").
+ */
+router.put('/lists', requireRole(['admin']), async (req, res, next) => {
+  try {
+    const supabase = req.app.locals.supabase;
+    const tenantId = req.user.tenantId;
+
+    const data = updateListsSchema.parse(req.body);
+
+    const spam = await updateSpamSettings(supabase, tenantId, (current) => ({
+      ...current,
+      ...(data.blocklist && { blocklist: [...new Set(data.blocklist)] }),
+      ...(data.allowlist && { allowlist: [...new Set(data.allowlist)] })
+    }));
+
+    const { blocklist, allowlist } = spamFilter.getSpamSettings({ spam });
+
+    res.json({ blocklist, allowlist });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/spam/:id/release
+ * Release a false positive (admin only): a dropped email becomes a ticket
+ * (or a reply on the ticket it answered), a ticket marked spam is reopened
+ * and queued for AI processing
+ */
+router.post('/:id/release', requireRole(['admin']), async (req, res, next) => {
+  try {
+    const supabase = req.app.locals.supabase;
+    const redis = req.app.locals.redis;
+    const logger = req.app.locals.logger;
+    const tenantId = req.user.tenantId;
+    const { id } = req.params;
+
+    const { allowSender } = releaseSchema.parse(req.body || {});
+
+    const { data: entry } = await supabase
+      .from('email_filter_log')
+      .select('*')
+      .eq('id', id)
+      .eq('tenant_id', tenantId)
+      .single();
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Filtered email not found' });
+    }
+
+    if (entry.status === 'released') {
+      return res.status(409).json({ error: 'Email has already been released' });
+    }
+
+    let ticketId = entry.ticket_id;
+    let released;
+
+    if (entry.action === 'marked') {
+      const { data: ticket, error } = await supabase
+        .from('tickets')
+        .update({ status: 'open' })
+        .eq('id', entry.ticket_id)
+        .eq('tenant_id', tenantId)
+        .eq('status', 'spam')
+        .select('id, subject, body')
+        .single();
+
+      if (error || !ticket) {
+        return res.status(409).json({ error: 'Ticket is no longer marked as spam' });
+      }
+
+      await redis.lpush('ai:classification:queue', JSON.stringify({
+        ticketId: ticket.id,
+        tenantId,
+        subject: ticket.subject,
+        body: ticket.body
+      }));
+
+      released = 'ticket_reopened';
+    } else if (entry.reply_to_ticket_id) {
+      await addReplyFromEmail(supabase, redis, {
+        tenantId,
+        ticketId: entry.reply_to_ticket_id,
+        email: entry.email
+      });
+
+      ticketId = entry.reply_to_ticket_id;
+      released = 'reply_added';
+    } else {
+      const ticket = await createTicketFromEmail(supabase, redis, {
+        tenantId,
+        email: entry.email
+      });
+
+      ticketId = ticket.id;
+      released = 'ticket_created';
+    }
+
+    const { data: updated, error: updateError } = await supabase
+      .from('email_filter_log')
+      .update({
+        status: 'released',
+        ticket_id: ticketId,
+        released_by: req.user.id,
+        released_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (updateError) throw updateError;
+
+    if (allowSender && entry.from_email) {
+      const sender = entry.from_email.toLowerCase();
+      await updateSpamSettings(supabase, tenantId, (current) => ({
+        ...current,
+        allowlist: [...new Set([...(current.allowlist || []), sender])],
+        blocklist: (current.blocklist || []).filter(blocked => String(blocked).toLowerCase() !== sender)
+      }));
+    }
+
+    logger.info('Released filtered email', {
+      filterLogId: id,
+      ticketId,
+      action: released,
+      releasedBy: req.user.id
+    });
+
+    res.json({ entry: updated, ticketId, action: released });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
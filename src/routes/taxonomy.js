@@ -0,0 +1,212 @@
+const express = require('express');
+const router = express.Router();
+const { z } = require('zod');
+const { requireRole } = require('../middleware/auth');
+const taxonomy = require('../ai/taxonomy');
+
+const createEntrySchema = z.object({
+  kind: z.enum(taxonomy.KINDS),
+  name: z.string().min(1).max(100),
+  slug: z.string().min(1).max(50).optional(),
+  parentId: z.string().uuid().optional(),
+  description: z.string().max(1000).optional(),
+  examples: z.array(z.string().min(1).max(500)).max(10).optional(),
+  teamId: z.string().uuid().optional().nullable(),
+  sortOrder: z.number().int().optional()
+}).refine(data => taxonomy.slugify(data.slug || data.name).length <= taxonomy.KEY_MAX_LENGTH[data.kind], {
+  message: 'Priority and sentiment keys are limited to 20 characters',
+  path: ['slug']
+});
+
+// Keys are immutable once created so tickets keep pointing at valid labels
+const updateEntrySchema = z.object({
+  name: z.string().min(1).max(100).optional(),
+  description: z.string().max(1000).optional(),
+  examples: z.array(z.string().min(1).max(500)).max(10).optional(),
+  teamId: z.string().uuid().optional().nullable(),
+  sortOrder: z.number().int().optional(),
+  isActive: z.boolean().optional()
+});
+
+/**
+ * Check that a team belongs to the tenant
+ * @param {Object} supabase - Supabase client
+ * @param {string} tenantId - Tenant ID
+ * @param {string} teamId - Team ID
+ * @returns {boolean}
+ */
+async function teamExists(supabase, tenantId, teamId) {
+  const { data: team } = await supabase
+    .from('teams')
+    .select('id')
+    .eq('id', teamId)
+    .eq('tenant_id', tenantId)
+    .single();
+
+  return Boolean(team);
+}
+
+/**
+ * GET /api/taxonomy
+ * Get the tenant's effective taxonomy (defaults for kinds not customized)
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const supabase = req.app.locals.supabase;
+    const tenantId = req.user.tenantId;
+
+    const tenantTaxonomy = await taxonomy.loadTaxonomy(supabase, tenantId);
+
+    res.json({
+      categories: tenantTaxonomy.categories,
+      categoryTree: taxonomy.buildTree(tenantTaxonomy.categories),
+      priorities: tenantTaxonomy.priorities,
+      sentiments: tenantTaxonomy.sentiments,
+      customized: tenantTaxonomy.customized
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/taxonomy
+ * Create a taxonomy entry (admin only)
+ */
+router.post('/', requireRole(['admin']), async (req, res, next) => {
+  try {
+    const supabase = req.app.locals.supabase;
+    const tenantId = req.user.tenantId;
+
+    const data = createEntrySchema.parse(req.body);
+    const slug = taxonomy.slugify(data.slug || data.name);
+
+    if (!slug) {
+      return res.status(400).json({ error: 'Name must contain letters or numbers' });
+    }
+
+    // Only categories are hierarchical
+    let key = slug;
+    if (data.parentId) {
+      if (data.kind !== 'category') {
+        return res.status(400).json({ error: 'Only categories can have a parent' });
+      }
+
+      const { data: parent } = await supabase
+        .from('taxonomy_entries')
+        .select('id, key, kind')
+        .eq('id', data.parentId)
+        .eq('tenant_id', tenantId)
+        .single();
+
+      if (!parent || parent.kind !== 'category') {
+        return res.status(404).json({ error: 'Parent category not found' });
+      }
+
+      key = `${parent.key}${taxonomy.PATH_SEPARATOR}${slug}`;
+
+      if (key.length > taxonomy.KEY_MAX_LENGTH.category) {
+        return res.status(400).json({ error: 'Category path is too long' });
+      }
+    }
+
+    if (data.teamId && !(await teamExists(supabase, tenantId, data.teamId))) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    const { data: entry, error } = await supabase
+      .from('taxonomy_entries')
+      .insert({
+        tenant_id: tenantId,
+        kind: data.kind,
+        key,
+        parent_id: data.parentId || null,
+        name: data.name,
+        description: data.description,
+        examples: data.examples || [],
+        team_id: data.teamId || null,
+        sort_order: data.sortOrder || 0
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.status(201).json({ entry });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/taxonomy/:id
+ * Update a taxonomy entry (admin only)
+ */
+router.patch('/:id', requireRole(['admin']), async (req, res, next) => {
+  try {
+    const supabase = req.app.locals.supabase;
+    const tenantId = req.user.tenantId;
+    const { id } = req.params;
+
+    const data = updateEntrySchema.parse(req.body);
+
+    if (data.teamId && !(await teamExists(supabase, tenantId, data.teamId))) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    // Build update object
+    const updateData = {};
+    if (data.name) updateData.name = data.name;
+    if (data.description !== undefined) updateData.description = data.description;
+    if (data.examples) updateData.examples = data.examples;
+    if (data.teamId !== undefined) updateData.team_id = data.teamId;
+    if (data.sortOrder !== undefined) updateData.sort_order = data.sortOrder;
+    if (data.isActive !== undefined) updateData.is_active = data.isActive;
+
+    const { data: entry, error } = await supabase
+      .from('taxonomy_entries')
+      .update(updateData)
+      .eq('id', id)
+      .eq('tenant_id', tenantId)
+      .select()
+      .single();
+
+    if (error || !entry) {
+      return res.status(404).json({ error: 'Taxonomy entry not found' });
+    }
+
+    res.json({ entry });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/taxonomy/:id
+ * Delete a taxonomy entry and its children (admin only)
+ */
+router.delete('/:id', requireRole(['admin']), async (req, res, next) => {
+  try {
+    const supabase = req.app.locals.supabase;
+    const tenantId = req.user.tenantId;
+    const { id } = req.params;
+
+    const { data: entry, error } = await supabase
+      .from('taxonomy_entries')
+      .delete()
+      .eq('id', id)
+      .eq('tenant_id', tenantId)
+      .select()
+      .single();
+
+    if (error || !entry) {
+      return res.status(404).json({ error: 'Taxonomy entry not found' });
+    }
+
+    res.json({ message: 'Taxonomy entry deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -5,8 +5,21 @@ const { v4: uuidv4 } = require('uuid');
 
 // Import AI modules
 const classifier = require('../ai/classifier');
-const routerAI = require('../ai/router');
 const suggester = require('../ai/suggester');
+const taxonomy = require('../ai/taxonomy');
+const feedback = require('../ai/feedback');
+const fewShot = require('../ai/few-shot');
+const translator = require('../ai/translator');
+const entities = require('../ai/entities');
+const promptSafety = require('../ai/prompt-safety');
+const usage = require('../ai/usage');
+const triage = require('../ai/triage');
+const intents = require('../ai/intents');
+const duplicates = require('../ai/duplicates');
+const { requireRole } = require('../middleware/auth');
+const { ticketFiltersSchema } = require('../utils/validators');
+const { routeTicket, applyRoutingDecision } = require('../utils/routing');
+const { getTenant, buildTicketQuery } = require('../utils/db');
 
 // Validation schemas
 const createTicketSchema = z.object({
@@ -19,18 +32,65 @@ const createTicketSchema = z.object({
   metadata: z.record(z.any()).optional()
 });
 
+// category/priority are checked against the tenant taxonomy in the handler
 const updateTicketSchema = z.object({
   status: z.enum(['open', 'pending', 'resolved', 'closed', 'spam']).optional(),
-  priority: z.enum(['low', 'medium', 'high', 'urgent']).optional(),
+  category: z.string().min(1).max(100).optional(),
+  priority: z.string().min(1).max(20).optional(),
   assignedTo: z.string().uuid().optional().nullable(),
   assignedTeam: z.string().uuid().optional().nullable(),
   tags: z.array(z.string()).optional()
 });
 
+const classifyBatchSchema = ticketFiltersSchema
+  .omit({ page: true, limit: true, sortBy: true, sortOrder: true })
+  .extend({
+    aiStatus: z.enum(['pending', 'completed', 'failed']).optional(),
+    dateFrom: z.string().datetime().optional(),
+    dateTo: z.string().datetime().optional(),
+    concurrency: z.number().int().min(1).max(20).default(5)
+  });
+
+const acceptTriageSchema = z.object({
+  // Defaults to every field the suggestion is waiting on
+  fields: z.array(z.enum(triage.GATED_FIELDS)).min(1).optional()
+});
+
+// Labels the agent chose instead (checked against the tenant taxonomy)
+const rejectTriageSchema = z.object({
+  category: z.string().min(1).max(100).optional(),
+  priority: z.string().min(1).max(20).optional()
+});
+
+const triageQuerySchema = z.object({
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce.number().int().min(1).max(100).default(20)
+});
+
+const summaryQuerySchema = z.object({
+  // handoff: what's been tried / what's pending / customer mood
+  variant: z.enum(['thread', 'handoff']).default('thread'),
+  includeInternal: z.enum(['true', 'false']).default('false').transform(value => value === 'true')
+});
+
+// Summaries are replaced as soon as a new message arrives; this only bounds idle keys
+const SUMMARY_CACHE_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+const routingTraceQuerySchema = z.object({
+  limit: z.coerce.number().int().min(1).max(50).default(10)
+});
+
+const mergeSchema = z.object({
+  // Ticket to close; its messages and history move into :id
+  sourceTicketId: z.string().uuid()
+});
+
 const addMessageSchema = z.object({
   body: z.string().min(1),
   isInternal: z.boolean().default(false),
-  senderType: z.enum(['customer', 'agent', 'system', 'ai']).default('agent')
+  senderType: z.enum(['customer', 'agent', 'system', 'ai']).default('agent'),
+  // Translate agent replies into the customer's language before sending
+  translate: z.boolean().default(true)
 });
 
 /**
@@ -48,6 +108,7 @@ router.get('/', async (req, res, next) => {
       priority,
       category,
       sentiment,
+      intent,
       assignedTo,
       assignedTeam,
       search,
@@ -72,6 +133,7 @@ router.get('/', async (req, res, next) => {
     if (priority) query = query.eq('priority', priority);
     if (category) query = query.eq('category', category);
     if (sentiment) query = query.eq('sentiment', sentiment);
+    if (intent) query = query.eq('intent', intent);
     if (assignedTo) query = query.eq('assigned_to', assignedTo);
     if (assignedTeam) query = query.eq('assigned_team', assignedTeam);
     
@@ -80,6 +142,23 @@ router.get('/', async (req, res, next) => {
       query = query.or(`subject.ilike.%${search}%,body.ilike.%${search}%,customer_email.ilike.%${search}%`);
     }
 
+    // Entity filters (e.g. ?orderId=12345) match tickets that mention them
+    const entityFilters = {};
+    for (const [param, type] of Object.entries(entities.ENTITY_FILTERS)) {
+      if (req.query[param]) entityFilters[type] = req.query[param];
+    }
+
+    if (Object.keys(entityFilters).length > 0) {
+      const ticketIds = await entities.findTicketIdsByEntities(supabase, tenantId, entityFilters);
+      if (ticketIds.length === 0) {
+        return res.json({
+          tickets: [],
+          pagination: { page: parseInt(page), limit: parseInt(limit), total: 0, totalPages: 0 }
+        });
+      }
+      query = query.in('id', ticketIds);
+    }
+
     // Pagination
     const from = (page - 1) * limit;
     const to = from + limit - 1;
@@ -137,7 +216,7 @@ router.post('/', async (req, res, next) => {
     if (error) throw error;
 
     // Create initial message
-    await supabase
+    const { data: initialMessage } = await supabase
       .from('ticket_messages')
       .insert({
         ticket_id: ticket.id,
@@ -145,12 +224,23 @@ router.post('/', async (req, res, next) => {
         sender_email: data.customerEmail,
         sender_name: data.customerName,
         body: data.body
-      });
+      })
+      .select('id')
+      .single();
 
-    // Queue AI classification (async)
+    // Link tickets the customer already opened about the same issue
+    const tenant = await getTenant(supabase, tenantId);
+    const likelyDuplicates = await duplicates.detectDuplicates(supabase, {
+      tenantId,
+      ticket,
+      settings: tenant.settings
+    });
+
+    // Queue AI classification (async); the initial message is analyzed with the ticket
     const queue = req.app.locals.redis;
     await queue.lpush('ai:classification:queue', JSON.stringify({
       ticketId: ticket.id,
+      messageId: initialMessage?.id,
       tenantId,
       subject: data.subject,
       body: data.body
@@ -158,6 +248,7 @@ router.post('/', async (req, res, next) => {
 
     res.status(201).json({
       ticket,
+      duplicates: likelyDuplicates,
       message: 'Ticket created successfully. AI classification in progress.'
     });
   } catch (error) {
@@ -165,6 +256,348 @@ router.post('/', async (req, res, next) => {
   }
 });
 
+/**
+ * POST /api/tickets/classify-batch
+ * Enqueue a classification backfill for all tickets matching a filter set (admin only)
+ */
+router.post('/classify-batch', requireRole(['admin']), async (req, res, next) => {
+  try {
+    const supabase = req.app.locals.supabase;
+    const redis = req.app.locals.redis;
+    const tenantId = req.user.tenantId;
+
+    const { concurrency, ...filters } = classifyBatchSchema.parse(req.body);
+
+    // Count matching tickets for progress reporting
+    const { count, error } = await buildTicketQuery(supabase, { ...filters, tenantId })
+      .range(0, 0);
+
+    if (error) throw error;
+
+    const batchId = uuidv4();
+    const batchKey = `ai:batch:${batchId}`;
+
+    await redis.hset(batchKey, {
+      tenantId,
+      status: 'queued',
+      total: count || 0,
+      processed: 0,
+      succeeded: 0,
+      failed: 0,
+      filters: JSON.stringify(filters),
+      createdBy: req.user.id,
+      createdAt: new Date().toISOString()
+    });
+    await redis.expire(batchKey, 7 * 24 * 60 * 60);
+
+    await redis.lpush('ai:batch:queue', JSON.stringify({
+      batchId,
+      tenantId,
+      filters,
+      concurrency,
+      cursor: null
+    }));
+
+    res.status(202).json({
+      batchId,
+      total: count || 0,
+      statusUrl: `/api/tickets/classify-batch/${batchId}`,
+      message: 'Batch classification queued'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/tickets/classify-batch/:batchId
+ * Get progress of a classification backfill (admin only)
+ */
+router.get('/classify-batch/:batchId', requireRole(['admin']), async (req, res, next) => {
+  try {
+    const redis = req.app.locals.redis;
+    const tenantId = req.user.tenantId;
+    const { batchId } = req.params;
+
+    const batch = await redis.hgetall(`ai:batch:${batchId}`);
+
+    if (!batch || batch.tenantId !== tenantId) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+
+    const errors = await redis.lrange(`ai:batch:${batchId}:errors`, 0, 99);
+    const total = parseInt(batch.total) || 0;
+    const processed = parseInt(batch.processed) || 0;
+
+    res.json({
+      batchId,
+      status: batch.status,
+      total,
+      processed,
+      succeeded: parseInt(batch.succeeded) || 0,
+      failed: parseInt(batch.failed) || 0,
+      progress: total > 0 ? Math.min(1, processed / total) : 1,
+      filters: JSON.parse(batch.filters || '{}'),
+      createdAt: batch.createdAt,
+      completedAt: batch.completedAt || null,
+      error: batch.error || null,
+      // Failed chunks are retried with backoff before the batch fails
+      lastChunkError: batch.lastChunkError || null,
+      recentErrors: errors.map(e => JSON.parse(e))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/tickets/triage
+ * Tickets whose AI labels were below the confidence thresholds, oldest first,
+ * with the suggestion waiting for review
+ */
+router.get('/triage', async (req, res, next) => {
+  try {
+    const supabase = req.app.locals.supabase;
+    const tenantId = req.user.tenantId;
+
+    const { page, limit } = triageQuerySchema.parse(req.query);
+    const from = (page - 1) * limit;
+    const to = from + limit - 1;
+
+    const { data: tickets, error, count } = await supabase
+      .from('tickets')
+      .select('id, subject, customer_email, status, category, priority, sentiment, ai_confidence, assigned_to, created_at', { count: 'exact' })
+      .eq('tenant_id', tenantId)
+      .eq('needs_triage', true)
+      .order('created_at', { ascending: true })
+      .range(from, to);
+
+    if (error) throw error;
+
+    const ticketIds = (tickets || []).map(ticket => ticket.id);
+    const suggestions = new Map();
+
+    if (ticketIds.length > 0) {
+      const { data: pending, error: pendingError } = await supabase
+        .from('classifications')
+        .select('*')
+        .in('ticket_id', ticketIds)
+        .eq('review_status', 'pending')
+        .order('created_at', { ascending: true });
+
+      if (pendingError) throw pendingError;
+
+      // Latest pending classification per ticket wins
+      for (const classification of pending || []) {
+        suggestions.set(classification.ticket_id, classification);
+      }
+    }
+
+    const tenant = await getTenant(supabase, tenantId);
+
+    res.json({
+      tickets: (tickets || []).map(ticket => ({
+        ...ticket,
+        suggestion: formatTriageSuggestion(suggestions.get(ticket.id))
+      })),
+      thresholds: triage.getThresholds(tenant.settings),
+      pagination: {
+        page,
+        limit,
+        total: count,
+        totalPages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/tickets/triage/:id/accept
+ * Apply the pending AI suggestion (all pending fields, or only `fields`).
+ * The ticket stays in triage until every pending field is accepted or the
+ * suggestion is rejected.
+ */
+router.post('/triage/:id/accept', async (req, res, next) => {
+  try {
+    const supabase = req.app.locals.supabase;
+    const tenantId = req.user.tenantId;
+    const userId = req.user.id;
+    const { id } = req.params;
+
+    const { fields } = acceptTriageSchema.parse(req.body);
+
+    const { data: existingTicket } = await supabase
+      .from('tickets')
+      .select('id')
+      .eq('id', id)
+      .eq('tenant_id', tenantId)
+      .single();
+
+    if (!existingTicket) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+
+    const classification = await triage.getPendingClassification(supabase, id);
+    if (!classification) {
+      return res.status(404).json({ error: 'No pending suggestion for this ticket' });
+    }
+
+    const pendingFields = triage.getPendingFields(classification);
+    const accepted = fields ? pendingFields.filter(field => fields.includes(field)) : pendingFields;
+    const remaining = pendingFields.filter(field => !accepted.includes(field));
+
+    if (accepted.length === 0) {
+      return res.status(400).json({ error: 'None of the fields are waiting for review', pendingFields });
+    }
+
+    const updateData = {
+      ...triage.buildLabelUpdate({
+        category: classification.predicted_category,
+        priority: classification.predicted_priority,
+        sentiment: classification.predicted_sentiment,
+        sentimentScore: classification.sentiment_score
+      }, accepted),
+      needs_triage: remaining.length > 0
+    };
+
+    const { data: ticket, error } = await supabase
+      .from('tickets')
+      .update(updateData)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    // A partly accepted suggestion stays pending for the other fields
+    await supabase
+      .from('classifications')
+      .update({
+        review_status: remaining.length > 0 ? 'pending' : 'accepted',
+        applied_fields: [...(classification.applied_fields || []), ...accepted],
+        reviewed_by: userId,
+        reviewed_at: new Date().toISOString()
+      })
+      .eq('id', classification.id);
+
+    await supabase
+      .from('ticket_history')
+      .insert({
+        ticket_id: id,
+        action: 'triage_accepted',
+        performed_by: userId,
+        new_value: JSON.stringify(updateData)
+      });
+
+    // Accepted labels are confirmed predictions
+    const corrected = await feedback.recordCorrection(supabase, {
+      ticketId: id,
+      category: accepted.includes('category') ? classification.predicted_category : undefined,
+      priority: accepted.includes('priority') ? classification.predicted_priority : undefined,
+      userId
+    });
+
+    if (corrected) {
+      await fewShot.invalidateExamplePool(req.app.locals.redis, tenantId);
+    }
+
+    res.json({ ticket, accepted, pendingFields: remaining });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/tickets/triage/:id/reject
+ * Dismiss the pending AI suggestion, optionally setting the right labels
+ */
+router.post('/triage/:id/reject', async (req, res, next) => {
+  try {
+    const supabase = req.app.locals.supabase;
+    const tenantId = req.user.tenantId;
+    const userId = req.user.id;
+    const { id } = req.params;
+
+    const data = rejectTriageSchema.parse(req.body);
+
+    const { data: existingTicket } = await supabase
+      .from('tickets')
+      .select('id')
+      .eq('id', id)
+      .eq('tenant_id', tenantId)
+      .single();
+
+    if (!existingTicket) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+
+    const classification = await triage.getPendingClassification(supabase, id);
+    if (!classification) {
+      return res.status(404).json({ error: 'No pending suggestion for this ticket' });
+    }
+
+    if (data.category || data.priority) {
+      const tenantTaxonomy = await taxonomy.loadTaxonomy(supabase, tenantId);
+
+      if (data.category && !taxonomy.isValidLabel(tenantTaxonomy.categories, data.category)) {
+        return res.status(400).json({ error: `Unknown category: ${data.category}` });
+      }
+      if (data.priority && !taxonomy.isValidLabel(tenantTaxonomy.priorities, data.priority)) {
+        return res.status(400).json({ error: `Unknown priority: ${data.priority}` });
+      }
+    }
+
+    const updateData = { needs_triage: false };
+    if (data.category) updateData.category = data.category;
+    if (data.priority) updateData.priority = data.priority;
+
+    const { data: ticket, error } = await supabase
+      .from('tickets')
+      .update(updateData)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await supabase
+      .from('classifications')
+      .update({
+        review_status: 'rejected',
+        reviewed_by: userId,
+        reviewed_at: new Date().toISOString()
+      })
+      .eq('id', classification.id);
+
+    await supabase
+      .from('ticket_history')
+      .insert({
+        ticket_id: id,
+        action: 'triage_rejected',
+        performed_by: userId,
+        new_value: JSON.stringify(updateData)
+      });
+
+    // Labels the agent picked are corrections of the prediction
+    const corrected = await feedback.recordCorrection(supabase, {
+      ticketId: id,
+      category: data.category,
+      priority: data.priority,
+      userId
+    });
+
+    if (corrected) {
+      await fewShot.invalidateExamplePool(req.app.locals.redis, tenantId);
+    }
+
+    res.json({ ticket });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * GET /api/tickets/:id
  * Get ticket details
@@ -213,10 +646,25 @@ router.get('/:id', async (req, res, next) => {
       .order('created_at', { ascending: false })
       .limit(50);
 
+    // Get extracted entities and linked tickets
+    const { data: ticketEntities } = await supabase
+      .from('ticket_entities')
+      .select('entity_type, value, normalized_value')
+      .eq('ticket_id', id);
+
+    const links = await entities.getTicketLinks(supabase, id);
+
+    // What the tenant wants done for this kind of request
+    const tenant = await getTenant(supabase, tenantId);
+    const nextAction = intents.resolveNextAction(tenant.settings, ticket.intent);
+
     res.json({
       ticket,
       messages: messages || [],
-      history: history || []
+      history: history || [],
+      entities: ticketEntities || [],
+      links,
+      nextAction
     });
   } catch (error) {
     next(error);
@@ -248,9 +696,22 @@ router.patch('/:id', async (req, res, next) => {
       return res.status(404).json({ error: 'Ticket not found' });
     }
 
+    // Validate labels against the tenant taxonomy
+    if (data.category || data.priority) {
+      const tenantTaxonomy = await taxonomy.loadTaxonomy(supabase, tenantId);
+
+      if (data.category && !taxonomy.isValidLabel(tenantTaxonomy.categories, data.category)) {
+        return res.status(400).json({ error: `Unknown category: ${data.category}` });
+      }
+      if (data.priority && !taxonomy.isValidLabel(tenantTaxonomy.priorities, data.priority)) {
+        return res.status(400).json({ error: `Unknown priority: ${data.priority}` });
+      }
+    }
+
     // Build update object
     const updateData = {};
     if (data.status) updateData.status = data.status;
+    if (data.category) updateData.category = data.category;
     if (data.priority) updateData.priority = data.priority;
     if (data.assignedTo !== undefined) updateData.assigned_to = data.assignedTo;
     if (data.assignedTeam !== undefined) updateData.assigned_team = data.assignedTeam;
@@ -280,6 +741,19 @@ router.patch('/:id', async (req, res, next) => {
         new_value: JSON.stringify(updateData)
       });
 
+    // Record the agent's labels as feedback on the AI classification
+    const corrected = await feedback.recordCorrection(supabase, {
+      ticketId: id,
+      category: data.category,
+      priority: data.priority,
+      userId
+    });
+
+    // New verified labels change the tenant's few-shot examples
+    if (corrected) {
+      await fewShot.invalidateExamplePool(req.app.locals.redis, tenantId);
+    }
+
     res.json({ ticket });
   } catch (error) {
     next(error);
@@ -302,7 +776,7 @@ router.post('/:id/messages', async (req, res, next) => {
     // Check ticket exists
     const { data: ticket } = await supabase
       .from('tickets')
-      .select('id, customer_email, first_response_at')
+      .select('id, customer_email, first_response_at, language')
       .eq('id', id)
       .eq('tenant_id', tenantId)
       .single();
@@ -311,6 +785,40 @@ router.post('/:id/messages', async (req, res, next) => {
       return res.status(404).json({ error: 'Ticket not found' });
     }
 
+    // Customers get replies in their own language; the agent's original is kept
+    let body = data.body;
+    let translatedBody = null;
+    let language = null;
+
+    if (data.senderType === 'agent' && !data.isInternal && data.translate) {
+      const tenant = await getTenant(supabase, tenantId);
+      const workingLanguage = translator.getWorkingLanguage(tenant.settings);
+
+      if (ticket.language && ticket.language !== workingLanguage) {
+        try {
+          body = await translator.translate(data.body, ticket.language, {
+            sourceLanguage: workingLanguage,
+            settings: tenant.settings,
+            meter: usage.createMeter({ supabase, redis: req.app.locals.redis, tenant, ticketId: id })
+          });
+          translatedBody = data.body;
+          language = ticket.language;
+        } catch (error) {
+          if (error instanceof usage.BudgetExceededError) {
+            return res.status(402).json({
+              error: 'Monthly AI budget exceeded',
+              message: 'Send with translate: false to reply untranslated'
+            });
+          }
+
+          return res.status(502).json({
+            error: 'Translation failed',
+            message: 'Retry, or send with translate: false to reply untranslated'
+          });
+        }
+      }
+    }
+
     // Create message
     const { data: message, error } = await supabase
       .from('ticket_messages')
@@ -318,7 +826,9 @@ router.post('/:id/messages', async (req, res, next) => {
         ticket_id: id,
         sender_type: data.senderType,
         sender_id: data.senderType === 'agent' ? userId : null,
-        body: data.body,
+        body,
+        translated_body: translatedBody,
+        language,
         is_internal: data.isInternal
       })
       .select()
@@ -326,6 +836,16 @@ router.post('/:id/messages', async (req, res, next) => {
 
     if (error) throw error;
 
+    // Queue sentiment scoring of inbound customer messages
+    if (data.senderType === 'customer' && !data.isInternal) {
+      await req.app.locals.redis.lpush('ai:message:queue', JSON.stringify({
+        ticketId: id,
+        messageId: message.id,
+        tenantId,
+        body: data.body
+      }));
+    }
+
     // Update first_response_at if this is the first agent response
     if (data.senderType === 'agent' && !ticket.first_response_at) {
       await supabase
@@ -340,6 +860,280 @@ router.post('/:id/messages', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/tickets/:id/sentiment-timeline
+ * Get per-message customer sentiment across the thread
+ */
+router.get('/:id/sentiment-timeline', async (req, res, next) => {
+  try {
+    const supabase = req.app.locals.supabase;
+    const tenantId = req.user.tenantId;
+    const { id } = req.params;
+
+    // Check ticket exists
+    const { data: ticket } = await supabase
+      .from('tickets')
+      .select('id')
+      .eq('id', id)
+      .eq('tenant_id', tenantId)
+      .single();
+
+    if (!ticket) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+
+    const { data: scores, error } = await supabase
+      .from('sentiment_scores')
+      .select(`
+        *,
+        message:ticket_messages(id, sender_name, sender_email, created_at)
+      `)
+      .eq('ticket_id', id)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    // Magnitude and emotions are null when the model did not return them
+    const toNumber = value => (value === null || value === undefined ? null : Number(value));
+
+    const timeline = (scores || [])
+      .map(s => ({
+        messageId: s.message_id,
+        sentAt: s.message?.created_at || s.created_at,
+        senderName: s.message?.sender_name || s.message?.sender_email || null,
+        score: Number(s.score),
+        magnitude: toNumber(s.magnitude),
+        emotions: {
+          joy: toNumber(s.joy),
+          anger: toNumber(s.anger),
+          sadness: toNumber(s.sadness),
+          fear: toNumber(s.fear),
+          disgust: toNumber(s.disgust)
+        }
+      }))
+      .sort((a, b) => new Date(a.sentAt) - new Date(b.sentAt));
+
+    res.json({
+      timeline,
+      summary: summarizeSentimentTimeline(timeline)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/tickets/:id/summary
+ * Summarize the message thread (?variant=handoff for a handoff note,
+ * ?includeInternal=true to include internal notes). Cached until a new message arrives.
+ */
+router.get('/:id/summary', async (req, res, next) => {
+  try {
+    const supabase = req.app.locals.supabase;
+    const redis = req.app.locals.redis;
+    const tenantId = req.user.tenantId;
+    const { id } = req.params;
+
+    const { variant, includeInternal } = summaryQuerySchema.parse(req.query);
+
+    const { data: ticket } = await supabase
+      .from('tickets')
+      .select('id, subject, status, priority')
+      .eq('id', id)
+      .eq('tenant_id', tenantId)
+      .single();
+
+    if (!ticket) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+
+    let query = supabase
+      .from('ticket_messages')
+      .select('id, sender_type, body, translated_body, is_internal, created_at')
+      .eq('ticket_id', id)
+      .order('created_at', { ascending: true });
+    if (!includeInternal) query = query.eq('is_internal', false);
+
+    const { data: messages, error } = await query;
+
+    if (error) throw error;
+
+    if (!messages || messages.length === 0) {
+      return res.status(404).json({ error: 'Ticket has no messages' });
+    }
+
+    // The latest message identifies the version of the thread that was summarized
+    const lastMessageId = messages[messages.length - 1].id;
+    const cacheKey = `ai:summary:${id}:${variant}:${includeInternal ? 'all' : 'public'}`;
+
+    const cached = await redis.get(cacheKey);
+    if (cached) {
+      const entry = JSON.parse(cached);
+      if (entry.lastMessageId === lastMessageId) {
+        return res.json({ ...entry, cached: true });
+      }
+    }
+
+    // translated_body holds the working-language text of both customer
+    // messages and translated agent replies
+    const thread = messages.map(m => ({
+      ...m,
+      body: m.translated_body || m.body
+    }));
+
+    const tenant = await getTenant(supabase, tenantId);
+    const options = {
+      settings: tenant.settings,
+      meter: usage.createMeter({ supabase, redis, tenant, ticketId: id })
+    };
+
+    let result;
+    try {
+      result = variant === 'handoff'
+        ? await suggester.summarizeHandoff(ticket, thread, options)
+        : await suggester.summarizeThread(thread, options);
+    } catch (error) {
+      if (!(error instanceof usage.BudgetExceededError)) throw error;
+
+      return res.status(402).json({ error: 'Monthly AI budget exceeded' });
+    }
+
+    if (!result) {
+      return res.status(502).json({ error: 'Summarization failed' });
+    }
+
+    const entry = {
+      ticketId: id,
+      variant,
+      includeInternal,
+      ...(variant === 'handoff' ? { handoff: result } : { summary: result }),
+      messageCount: messages.length,
+      lastMessageId,
+      generatedAt: new Date().toISOString()
+    };
+
+    await redis.setex(cacheKey, SUMMARY_CACHE_TTL_SECONDS, JSON.stringify(entry));
+
+    res.json({ ...entry, cached: false });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/tickets/:id/related
+ * Get linked tickets (duplicates, same order, merged) with their status
+ */
+router.get('/:id/related', async (req, res, next) => {
+  try {
+    const supabase = req.app.locals.supabase;
+    const tenantId = req.user.tenantId;
+    const { id } = req.params;
+
+    const { data: ticket } = await supabase
+      .from('tickets')
+      .select('id, merged_into')
+      .eq('id', id)
+      .eq('tenant_id', tenantId)
+      .single();
+
+    if (!ticket) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+
+    const links = await entities.getTicketLinks(supabase, id);
+    const relatedIds = [...new Set(links.map(link => link.ticketId))];
+
+    let relatedTickets = [];
+    if (relatedIds.length > 0) {
+      const { data, error } = await supabase
+        .from('tickets')
+        .select('id, subject, status, priority, category, customer_email, assigned_to, merged_into, created_at')
+        .eq('tenant_id', tenantId)
+        .in('id', relatedIds);
+
+      if (error) throw error;
+      relatedTickets = data || [];
+    }
+
+    const ticketsById = new Map(relatedTickets.map(related => [related.id, related]));
+
+    res.json({
+      mergedInto: ticket.merged_into || null,
+      related: links
+        .filter(link => ticketsById.has(link.ticketId))
+        .map(link => ({
+          ...link,
+          score: link.metadata.score ?? null,
+          ticket: ticketsById.get(link.ticketId)
+        }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/tickets/:id/merge
+ * Merge another ticket into this one: its messages and history move here
+ * and it is closed with a pointer to this ticket
+ */
+router.post('/:id/merge', async (req, res, next) => {
+  try {
+    const supabase = req.app.locals.supabase;
+    const redis = req.app.locals.redis;
+    const tenantId = req.user.tenantId;
+    const { id } = req.params;
+
+    const { sourceTicketId } = mergeSchema.parse(req.body);
+
+    if (sourceTicketId === id) {
+      return res.status(400).json({ error: 'Cannot merge a ticket into itself' });
+    }
+
+    const { data: pair, error } = await supabase
+      .from('tickets')
+      .select('id, subject, status, merged_into')
+      .eq('tenant_id', tenantId)
+      .in('id', [id, sourceTicketId]);
+
+    if (error) throw error;
+
+    const target = (pair || []).find(ticket => ticket.id === id);
+    const source = (pair || []).find(ticket => ticket.id === sourceTicketId);
+
+    if (!target || !source) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+
+    if (target.merged_into || source.merged_into) {
+      return res.status(409).json({ error: 'Ticket has already been merged' });
+    }
+
+    const result = await duplicates.mergeTickets(supabase, {
+      tenantId,
+      target,
+      source,
+      userId: req.user.id
+    });
+
+    // The thread changed without a new last message
+    await redis.del(
+      ...['thread', 'handoff'].flatMap(variant =>
+        ['all', 'public'].map(scope => `ai:summary:${id}:${variant}:${scope}`)
+      )
+    );
+
+    res.json({
+      ticketId: id,
+      mergedTicketId: sourceTicketId,
+      ...result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * POST /api/tickets/:id/classify
  * Run AI classification on ticket
@@ -362,11 +1156,42 @@ router.post('/:id/classify', async (req, res, next) => {
       return res.status(404).json({ error: 'Ticket not found' });
     }
 
-    // Run classification
-    const classification = await classifier.classify({
-      subject: ticket.subject,
-      body: ticket.body
-    });
+    // Run classification with the tenant's provider and taxonomy
+    const tenant = await getTenant(supabase, tenantId);
+    const tenantTaxonomy = await taxonomy.loadTaxonomy(supabase, tenantId);
+    const examplePool = await fewShot.getExamplePool(req.app.locals.redis, supabase, tenantId);
+    let classification;
+    try {
+      classification = await classifier.classify(ticket, {
+        settings: tenant.settings,
+        meter: usage.createMeter({ supabase, redis: req.app.locals.redis, tenant, ticketId: id }),
+        taxonomy: tenantTaxonomy,
+        examplePool
+      });
+    } catch (error) {
+      if (!(error instanceof classifier.ClassificationError)) throw error;
+
+      // Flag the failure instead of writing a fallback classification
+      await supabase
+        .from('tickets')
+        .update({
+          ai_status: 'failed',
+          ai_error: error.message
+        })
+        .eq('id', id);
+
+      return res.status(502).json({
+        error: 'Classification failed',
+        message: error.message
+      });
+    }
+
+    const { classificationFields, ticketUpdate } = triage.applyGate(
+      classification,
+      triage.getThresholds(tenant.settings)
+    );
+
+    await triage.supersedePending(supabase, id);
 
     // Save classification
     await supabase
@@ -381,24 +1206,38 @@ router.post('/:id/classify', async (req, res, next) => {
         sentiment_confidence: classification.confidence.sentiment,
         sentiment_score: classification.sentiment.score,
         model_version: classification.modelVersion,
-        processing_time_ms: classification.processingTimeMs
+        processing_time_ms: classification.processingTimeMs,
+        analysis_mode: 'classify',
+        prompt_tokens: classification.usage.promptTokens,
+        completion_tokens: classification.usage.completionTokens,
+        tokens_used: classification.usage.totalTokens,
+        intent: classification.intent,
+        ...classificationFields
       });
 
-    // Update ticket with classification
+    // Update ticket with the labels confident enough; the rest go to triage
+    const updateData = {
+      ...ticketUpdate,
+      intent: classification.intent,
+      ai_confidence: classification.overallConfidence,
+      ai_processed: true,
+      ai_status: 'completed',
+      ai_error: null
+    };
+
     await supabase
       .from('tickets')
-      .update({
-        category: classification.category,
-        priority: classification.priority,
-        sentiment: classification.sentiment.label,
-        sentiment_score: classification.sentiment.score,
-        ai_confidence: classification.overallConfidence,
-        ai_processed: true
-      })
+      .update(updateData)
       .eq('id', id);
 
+    if (classification.injection.suspected) {
+      await promptSafety.flagInjection(supabase, id, classification.injection);
+    }
+
     res.json({
       classification,
+      appliedFields: classificationFields.applied_fields,
+      needsTriage: ticketUpdate.needs_triage,
       message: 'Ticket classified successfully'
     });
   } catch (error) {
@@ -413,6 +1252,8 @@ router.post('/:id/classify', async (req, res, next) => {
 router.post('/:id/assign', async (req, res, next) => {
   try {
     const supabase = req.app.locals.supabase;
+    const redis = req.app.locals.redis;
+    const logger = req.app.locals.logger;
     const tenantId = req.user.tenantId;
     const userId = req.user.id;
     const { id } = req.params;
@@ -432,69 +1273,87 @@ router.post('/:id/assign', async (req, res, next) => {
       return res.status(404).json({ error: 'Ticket not found' });
     }
 
-    // Get available agents and teams
-    const { data: agents } = await supabase
-      .from('users')
-      .select('*, team_members(team_id, teams(id, name, skills))')
-      .eq('tenant_id', tenantId)
-      .eq('is_active', true)
-      .eq('role', 'agent');
-
-    const { data: teams } = await supabase
-      .from('teams')
-      .select('*, team_members(user_id)')
-      .eq('tenant_id', tenantId);
+    const { routing } = await routeTicket(supabase, redis, tenantId, ticket, logger);
 
-    // Get routing rules
-    const { data: rules } = await supabase
-      .from('routing_rules')
-      .select('*')
-      .eq('tenant_id', tenantId)
-      .eq('is_active', true)
-      .order('priority', { ascending: false });
-
-    // Run routing
-    const routing = await routerAI.route({
+    const { decision } = await applyRoutingDecision(supabase, {
+      tenantId,
       ticket,
-      agents: agents || [],
-      teams: teams || [],
-      rules: rules || []
+      routing,
+      source: 'manual_assign',
+      userId
     });
 
-    // Apply assignment
-    const updateData = {};
-    if (routing.assignToUser) updateData.assigned_to = routing.assignToUser;
-    if (routing.assignToTeam) updateData.assigned_team = routing.assignToTeam;
-    if (routing.setPriority) updateData.priority = routing.setPriority;
+    res.json({
+      routing,
+      routingDecisionId: decision.id,
+      message: 'Ticket assigned successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    await supabase
+/**
+ * GET /api/tickets/:id/routing-trace
+ * Routing decisions for a ticket (newest first) with every step that led to them
+ */
+router.get('/:id/routing-trace', async (req, res, next) => {
+  try {
+    const supabase = req.app.locals.supabase;
+    const tenantId = req.user.tenantId;
+    const { id } = req.params;
+
+    const { limit } = routingTraceQuerySchema.parse(req.query);
+
+    const { data: ticket } = await supabase
       .from('tickets')
-      .update(updateData)
-      .eq('id', id);
+      .select('id, assigned_to, assigned_team')
+      .eq('id', id)
+      .eq('tenant_id', tenantId)
+      .single();
 
-    // Add tags if specified
-    if (routing.addTags && routing.addTags.length > 0) {
-      const currentTags = ticket.tags || [];
-      const newTags = [...new Set([...currentTags, ...routing.addTags])];
-      await supabase
-        .from('tickets')
-        .update({ tags: newTags })
-        .eq('id', id);
+    if (!ticket) {
+      return res.status(404).json({ error: 'Ticket not found' });
     }
 
-    // Log assignment
-    await supabase
-      .from('ticket_history')
-      .insert({
-        ticket_id: id,
-        action: 'auto_assigned',
-        performed_by: userId,
-        new_value: JSON.stringify(routing)
-      });
+    const { data: decisions, error } = await supabase
+      .from('routing_decisions')
+      .select(`
+        *,
+        rule:routing_rules(id, name),
+        assignee:users!routing_decisions_assigned_to_fkey(id, first_name, last_name),
+        team:teams(id, name)
+      `)
+      .eq('ticket_id', id)
+      .eq('tenant_id', tenantId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
 
     res.json({
-      routing,
-      message: 'Ticket assigned successfully'
+      ticketId: id,
+      current: {
+        assignedTo: ticket.assigned_to,
+        assignedTeam: ticket.assigned_team
+      },
+      decisions: (decisions || []).map(decision => ({
+        id: decision.id,
+        source: decision.source,
+        triggeredBy: decision.triggered_by,
+        applied: decision.applied,
+        rule: decision.rule || null,
+        team: decision.team || null,
+        assignee: decision.assignee || null,
+        setPriority: decision.set_priority,
+        addTags: decision.add_tags || [],
+        reason: decision.reason,
+        confidence: decision.confidence,
+        // One line per step, e.g. "Sam Lee scored highest of 3 team member(s)"
+        explanation: (decision.trace || []).map(step => step.summary),
+        trace: decision.trace || [],
+        createdAt: decision.created_at
+      }))
     });
   } catch (error) {
     next(error);
@@ -541,10 +1400,14 @@ router.get('/:id/suggestions', async (req, res, next) => {
       .eq('is_published', true);
 
     // Generate suggestions
+    const tenant = await getTenant(supabase, tenantId);
     const suggestions = await suggester.generate({
       ticket,
       templates: templates || [],
-      kbArticles: kbArticles || []
+      kbArticles: kbArticles || [],
+      settings: tenant.settings,
+      // Over budget, the AI draft is skipped and templates/KB matches still return
+      meter: usage.createMeter({ supabase, redis: req.app.locals.redis, tenant, ticketId: id })
     });
 
     res.json({ suggestions });
@@ -553,4 +1416,72 @@ router.get('/:id/suggestions', async (req, res, next) => {
   }
 });
 
+/**
+ * Format a pending classification for the triage queue
+ * @param {Object} [classification] - Classification row
+ * @returns {Object|null} Suggestion
+ */
+function formatTriageSuggestion(classification) {
+  if (!classification) return null;
+
+  return {
+    classificationId: classification.id,
+    pendingFields: triage.getPendingFields(classification),
+    category: {
+      value: classification.predicted_category,
+      confidence: classification.category_confidence
+    },
+    priority: {
+      value: classification.predicted_priority,
+      confidence: classification.priority_confidence
+    },
+    sentiment: {
+      value: classification.predicted_sentiment,
+      score: classification.sentiment_score,
+      confidence: classification.sentiment_confidence
+    },
+    modelVersion: classification.model_version,
+    createdAt: classification.created_at
+  };
+}
+
+/**
+ * Summarize how sentiment moved across a timeline
+ * @param {Array} timeline - Scored messages, oldest first
+ * @returns {Object} Summary
+ */
+function summarizeSentimentTimeline(timeline) {
+  if (timeline.length === 0) {
+    return { messages: 0, trend: 'unknown' };
+  }
+
+  const first = timeline[0].score;
+  const latest = timeline[timeline.length - 1].score;
+  const change = latest - first;
+
+  // Emotion with the highest average across the thread
+  const emotionTotals = {};
+  for (const entry of timeline) {
+    for (const [emotion, value] of Object.entries(entry.emotions)) {
+      emotionTotals[emotion] = (emotionTotals[emotion] || 0) + (value || 0);
+    }
+  }
+  const [dominantEmotion, dominantTotal] = Object.entries(emotionTotals)
+    .sort((a, b) => b[1] - a[1])[0];
+
+  let trend = 'stable';
+  if (change >= 0.2) trend = 'improving';
+  if (change <= -0.2) trend = 'worsening';
+
+  return {
+    messages: timeline.length,
+    firstScore: first,
+    latestScore: latest,
+    averageScore: timeline.reduce((sum, e) => sum + e.score, 0) / timeline.length,
+    change,
+    trend,
+    dominantEmotion: dominantTotal > 0 ? dominantEmotion : null
+  };
+}
+
 module.exports = router;
@@ -3,6 +3,9 @@ const router = express.Router();
 const { z } = require('zod');
 const bcrypt = require('bcryptjs');
 const { requireRole } = require('../middleware/auth');
+const { getTenant } = require('../utils/db');
+const presence = require('../utils/presence');
+const { getUnavailableReason } = require('../ai/router');
 
 const createUserSchema = z.object({
   email: z.string().email(),
@@ -23,6 +26,10 @@ const updateUserSchema = z.object({
   isActive: z.boolean().optional()
 });
 
+const heartbeatSchema = z.object({
+  status: z.enum(presence.PRESENCE_STATUSES).default('online')
+});
+
 /**
  * GET /api/users
  * List users (admin/manager only)
@@ -71,6 +78,79 @@ router.get('/', requireRole(['admin', 'manager']), async (req, res, next) => {
   }
 });
 
+/**
+ * POST /api/users/me/heartbeat
+ * Report the current user's presence (send every ~30s while the app is open)
+ */
+router.post('/me/heartbeat', async (req, res, next) => {
+  try {
+    const supabase = req.app.locals.supabase;
+    const redis = req.app.locals.redis;
+    const tenantId = req.user.tenantId;
+    const userId = req.user.id;
+
+    const { status } = heartbeatSchema.parse(req.body || {});
+
+    const tenant = await getTenant(supabase, tenantId);
+    const { timeoutSeconds } = presence.getPresenceSettings(tenant.settings);
+
+    const result = await presence.setPresence(redis, { tenantId, userId, status, timeoutSeconds });
+
+    await supabase
+      .from('users')
+      .update({ last_seen_at: result.updatedAt })
+      .eq('id', userId)
+      .eq('tenant_id', tenantId);
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/users/presence
+ * Agents' presence and open-ticket load (admin/manager only)
+ */
+router.get('/presence', requireRole(['admin', 'manager']), async (req, res, next) => {
+  try {
+    const supabase = req.app.locals.supabase;
+    const redis = req.app.locals.redis;
+    const tenantId = req.user.tenantId;
+
+    const { data: agents, error } = await supabase
+      .from('users')
+      .select('id, first_name, last_name, email, role, max_tickets, current_ticket_count, last_seen_at')
+      .eq('tenant_id', tenantId)
+      .eq('is_active', true)
+      .eq('role', 'agent')
+      .order('first_name');
+
+    if (error) throw error;
+
+    const tenant = await getTenant(supabase, tenantId);
+    const presenceSettings = presence.getPresenceSettings(tenant.settings);
+    const statuses = await presence.getPresence(redis, tenantId, (agents || []).map(agent => agent.id));
+
+    res.json({
+      presenceTracking: presenceSettings.enabled,
+      agents: (agents || []).map(agent => {
+        const status = presenceSettings.enabled ? statuses[agent.id].status : null;
+
+        return {
+          ...agent,
+          presence: status,
+          presenceUpdatedAt: statuses[agent.id].updatedAt,
+          // Why routing currently skips this agent (null = can take tickets)
+          unavailableReason: getUnavailableReason({ ...agent, presence: status })
+        };
+      })
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * GET /api/users/:id
  * Get user details
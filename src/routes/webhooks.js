@@ -5,6 +5,10 @@ const { simpleParser } = require('mailparser');
 
 // Import ingestion handlers
 const emailParser = require('../ingestion/email-parser');
+const spamFilter = require('../ingestion/spam-filter');
+const { createTicketFromEmail, addReplyFromEmail } = require('../ingestion/email-tickets');
+const usage = require('../ai/usage');
+const duplicates = require('../ai/duplicates');
 
 /**
  * Verify webhook signature
@@ -30,6 +34,7 @@ router.post('/email', async (req, res, next) => {
   try {
     const logger = req.app.locals.logger;
     const supabase = req.app.locals.supabase;
+    const redis = req.app.locals.redis;
     
     // Verify webhook signature if configured
     const signature = req.headers['x-webhook-signature'];
@@ -61,7 +66,9 @@ router.post('/email', async (req, res, next) => {
         from: ses.mail.source,
         to: ses.mail.destination,
         subject: ses.mail.commonHeaders.subject,
-        messageId: ses.mail.messageId
+        messageId: ses.mail.messageId,
+        // [{ name, value }]; needed to spot auto-replies and bounces
+        headers: ses.mail.headers
       };
     }
     // Generic format
@@ -78,7 +85,7 @@ router.post('/email', async (req, res, next) => {
     const fromDomain = emailParser.extractDomain(emailData.to);
     const { data: tenant } = await supabase
       .from('tenants')
-      .select('id')
+      .select('id, plan, settings')
       .eq('email_domain', fromDomain)
       .single();
 
@@ -105,21 +112,43 @@ router.post('/email', async (req, res, next) => {
       .limit(1)
       .single();
 
+    // Filter auto-responders, bounces, blocked senders and (new tickets only) AI-scored spam
+    const decision = await spamFilter.evaluate(parsed, {
+      settings: tenant.settings,
+      meter: usage.createMeter({ supabase, redis, tenant }),
+      useAi: !existingTicket
+    });
+
+    // A reply cannot become a spam ticket; anything filtered is held for review
+    if (decision.action === 'drop' || (decision.action === 'mark' && existingTicket)) {
+      const entry = await spamFilter.logDecision(supabase, {
+        tenantId: tenant.id,
+        email: parsed,
+        decision: { ...decision, action: 'drop' },
+        existingTicketId: existingTicket?.id
+      });
+
+      logger.info('Filtered inbound email', {
+        tenantId: tenant.id,
+        layer: decision.layer,
+        reason: decision.reason,
+        filterLogId: entry.id
+      });
+
+      return res.json({
+        success: true,
+        action: 'filtered',
+        reason: decision.reason
+      });
+    }
+
     if (existingTicket) {
       // Add as reply to existing ticket
-      await supabase
-        .from('ticket_messages')
-        .insert({
-          ticket_id: existingTicket.id,
-          sender_type: 'customer',
-          sender_email: parsed.customerEmail,
-          sender_name: parsed.customerName,
-          body: parsed.body,
-          body_html: parsed.bodyHtml,
-          message_id: parsed.messageId,
-          in_reply_to: parsed.inReplyTo,
-          attachments: parsed.attachments
-        });
+      await addReplyFromEmail(supabase, redis, {
+        tenantId: tenant.id,
+        ticketId: existingTicket.id,
+        email: parsed
+      });
 
       logger.info('Added reply to existing ticket', { 
         ticketId: existingTicket.id 
@@ -132,47 +161,38 @@ router.post('/email', async (req, res, next) => {
       });
     }
 
-    // Create new ticket
-    const { data: ticket, error } = await supabase
-      .from('tickets')
-      .insert({
-        tenant_id: tenant.id,
-        source: 'email',
-        source_id: parsed.messageId,
-        customer_email: parsed.customerEmail,
-        customer_name: parsed.customerName,
-        subject: parsed.subject,
-        body: parsed.body,
-        body_text: parsed.bodyText,
-        status: 'open'
-      })
-      .select()
-      .single();
+    // Create new ticket (kept with status spam when the filter only marks it)
+    const isSpam = decision.action === 'mark';
+    const ticket = await createTicketFromEmail(supabase, redis, {
+      tenantId: tenant.id,
+      email: parsed,
+      status: isSpam ? 'spam' : 'open',
+      settings: tenant.settings,
+      metadata: isSpam
+        ? { spam: { layer: decision.layer, reason: decision.reason, score: decision.score ?? null } }
+        : {}
+    });
 
-    if (error) throw error;
-
-    // Create initial message
-    await supabase
-      .from('ticket_messages')
-      .insert({
-        ticket_id: ticket.id,
-        sender_type: 'customer',
-        sender_email: parsed.customerEmail,
-        sender_name: parsed.customerName,
-        body: parsed.body,
-        body_html: parsed.bodyHtml,
-        message_id: parsed.messageId,
-        attachments: parsed.attachments
+    if (isSpam) {
+      await spamFilter.logDecision(supabase, {
+        tenantId: tenant.id,
+        email: parsed,
+        decision,
+        ticketId: ticket.id
       });
 
-    // Queue AI classification
-    const queue = req.app.locals.redis;
-    await queue.lpush('ai:classification:queue', JSON.stringify({
-      ticketId: ticket.id,
-      tenantId: tenant.id,
-      subject: parsed.subject,
-      body: parsed.body
-    }));
+      logger.info('Created ticket marked as spam', {
+        ticketId: ticket.id,
+        tenantId: tenant.id,
+        reason: decision.reason
+      });
+
+      return res.status(201).json({
+        success: true,
+        ticketId: ticket.id,
+        action: 'marked_spam'
+      });
+    }
 
     logger.info('Created ticket from email', { 
       ticketId: ticket.id,
@@ -202,7 +222,7 @@ router.post('/:tenantId', async (req, res, next) => {
     // Verify tenant exists
     const { data: tenant } = await supabase
       .from('tenants')
-      .select('id, webhook_secret')
+      .select('id, settings, webhook_secret')
       .eq('id', tenantId)
       .single();
 
@@ -242,6 +262,12 @@ router.post('/:tenantId', async (req, res, next) => {
           .select()
           .single();
 
+        await duplicates.detectDuplicates(supabase, {
+          tenantId,
+          ticket,
+          settings: tenant.settings
+        });
+
         // Queue AI classification
         const queue = req.app.locals.redis;
         await queue.lpush('ai:classification:queue', JSON.stringify({
@@ -15,12 +15,14 @@ function buildTicketQuery(supabase, filters) {
     priority,
     category,
     sentiment,
+    intent,
     assignedTo,
     assignedTeam,
     search,
     dateFrom,
     dateTo,
-    tags
+    tags,
+    aiStatus
   } = filters;
 
   let query = supabase
@@ -36,8 +38,10 @@ function buildTicketQuery(supabase, filters) {
   if (priority) query = query.eq('priority', priority);
   if (category) query = query.eq('category', category);
   if (sentiment) query = query.eq('sentiment', sentiment);
+  if (intent) query = query.eq('intent', intent);
   if (assignedTo) query = query.eq('assigned_to', assignedTo);
   if (assignedTeam) query = query.eq('assigned_team', assignedTeam);
+  if (aiStatus) query = query.eq('ai_status', aiStatus);
   
   if (dateFrom) {
     query = query.gte('created_at', dateFrom);
@@ -143,16 +147,24 @@ function formatTicket(ticket) {
     customerName: ticket.customer_name,
     subject: ticket.subject,
     body: ticket.body,
+    language: ticket.language,
+    translatedSubject: ticket.translated_subject,
+    translatedBody: ticket.translated_body,
     sentiment: ticket.sentiment,
     sentimentScore: ticket.sentiment_score,
     category: ticket.category,
     priority: ticket.priority,
+    intent: ticket.intent,
     status: ticket.status,
     assignedTo: ticket.assigned_to,
     assignedTeam: ticket.assigned_team,
     tags: ticket.tags,
     aiProcessed: ticket.ai_processed,
     aiConfidence: ticket.ai_confidence,
+    aiStatus: ticket.ai_status,
+    aiError: ticket.ai_error,
+    needsTriage: ticket.needs_triage,
+    mergedInto: ticket.merged_into,
     createdAt: ticket.created_at,
     updatedAt: ticket.updated_at,
     resolvedAt: ticket.resolved_at,
@@ -160,6 +172,26 @@ function formatTicket(ticket) {
   };
 }
 
+/**
+ * Get tenant plan and settings
+ * @param {Object} supabase - Supabase client
+ * @param {string} tenantId - Tenant ID
+ * @returns {Object} Tenant with settings defaulted to {}
+ */
+async function getTenant(supabase, tenantId) {
+  const { data: tenant } = await supabase
+    .from('tenants')
+    .select('id, name, plan, settings')
+    .eq('id', tenantId)
+    .single();
+
+  return {
+    id: tenantId,
+    ...tenant,
+    settings: tenant?.settings || {}
+  };
+}
+
 /**
  * Paginate query results
  * @param {Object} query - Supabase query
@@ -179,5 +211,6 @@ module.exports = {
   buildTicketQuery,
   calculateTicketMetrics,
   formatTicket,
+  getTenant,
   paginate
 };
@@ -0,0 +1,112 @@
+/**
+ * Agent presence for TicketAI
+ * Agents send a heartbeat (POST /api/users/me/heartbeat) while the app is
+ * open. The latest status is kept in Redis with a TTL, so an agent whose
+ * heartbeats stop is offline once the key expires.
+ */
+
+const PRESENCE_STATUSES = ['online', 'away', 'offline'];
+const DEFAULT_TIMEOUT_SECONDS = 90;
+
+/**
+ * Get a tenant's presence settings
+ * @param {Object} [settings] - Tenant settings (settings.presence)
+ * @returns {Object} { enabled, timeoutSeconds }
+ */
+function getPresenceSettings(settings) {
+  const presence = settings?.presence || {};
+
+  return {
+    // Opt-in: without heartbeats every agent would look offline and get no tickets
+    enabled: presence.enabled === true,
+    timeoutSeconds: Number.isInteger(presence.timeoutSeconds) && presence.timeoutSeconds >= 30
+      ? presence.timeoutSeconds
+      : DEFAULT_TIMEOUT_SECONDS
+  };
+}
+
+/**
+ * Redis key of an agent's presence
+ * @param {string} tenantId - Tenant ID
+ * @param {string} userId - User ID
+ * @returns {string} Key
+ */
+function presenceKey(tenantId, userId) {
+  return `presence:${tenantId}:${userId}`;
+}
+
+/**
+ * Record a heartbeat
+ * @param {Object} redis - Redis client
+ * @param {Object} params - Parameters
+ * @param {string} params.tenantId - Tenant ID
+ * @param {string} params.userId - User ID
+ * @param {string} params.status - online, away or offline
+ * @param {number} [params.timeoutSeconds] - How long the status lasts without another heartbeat
+ * @returns {Object} { status, updatedAt, expiresIn }
+ */
+async function setPresence(redis, { tenantId, userId, status, timeoutSeconds = DEFAULT_TIMEOUT_SECONDS }) {
+  const key = presenceKey(tenantId, userId);
+  const updatedAt = new Date().toISOString();
+
+  // Signing off takes effect immediately instead of waiting for the TTL
+  if (status === 'offline') {
+    await redis.del(key);
+    return { status, updatedAt, expiresIn: 0 };
+  }
+
+  await redis.setex(key, timeoutSeconds, JSON.stringify({ status, updatedAt }));
+
+  return { status, updatedAt, expiresIn: timeoutSeconds };
+}
+
+/**
+ * Look up the presence of several users
+ * @param {Object} redis - Redis client
+ * @param {string} tenantId - Tenant ID
+ * @param {Array<string>} userIds - User IDs
+ * @returns {Object} { [userId]: { status, updatedAt } } (offline when no heartbeat)
+ */
+async function getPresence(redis, tenantId, userIds) {
+  if (!userIds || userIds.length === 0) return {};
+
+  const values = await redis.mget(...userIds.map(userId => presenceKey(tenantId, userId)));
+  const presence = {};
+
+  userIds.forEach((userId, index) => {
+    let entry = null;
+    try {
+      entry = values[index] ? JSON.parse(values[index]) : null;
+    } catch {
+      entry = null;
+    }
+
+    presence[userId] = PRESENCE_STATUSES.includes(entry?.status)
+      ? entry
+      : { status: 'offline', updatedAt: null };
+  });
+
+  return presence;
+}
+
+/**
+ * Add each agent's presence status (agent.presence) for routing
+ * @param {Object} redis - Redis client
+ * @param {string} tenantId - Tenant ID
+ * @param {Array} agents - User rows
+ * @returns {Array} Agents with presence
+ */
+async function attachPresence(redis, tenantId, agents) {
+  const presence = await getPresence(redis, tenantId, agents.map(agent => agent.id));
+
+  return agents.map(agent => ({ ...agent, presence: presence[agent.id].status }));
+}
+
+module.exports = {
+  PRESENCE_STATUSES,
+  DEFAULT_TIMEOUT_SECONDS,
+  getPresenceSettings,
+  setPresence,
+  getPresence,
+  attachPresence
+};
@@ -1,7 +1,31 @@
 /**
  * Queue worker for processing AI classification jobs
  */
-const classifier = require('./ai/classifier');
+const classifier = require('../ai/classifier');
+const providers = require('../ai/providers');
+const { loadTaxonomy } = require('../ai/taxonomy');
+const { getExamplePool } = require('../ai/few-shot');
+const translator = require('../ai/translator');
+const entities = require('../ai/entities');
+const pii = require('../ai/pii');
+const promptSafety = require('../ai/prompt-safety');
+const structuredOutput = require('../ai/structured-output');
+const usage = require('../ai/usage');
+const responseCache = require('../ai/response-cache');
+const triage = require('../ai/triage');
+const { getTenant, buildTicketQuery } = require('./db');
+const { TokenBucket } = require('./rate-limiter');
+
+const CLASSIFICATION_QUEUE = 'ai:classification:queue';
+const DELAYED_QUEUE = 'ai:classification:queue:delayed';
+const MESSAGE_QUEUE = 'ai:message:queue';
+const BATCH_QUEUE = 'ai:batch:queue';
+const BATCH_DELAYED_QUEUE = 'ai:batch:queue:delayed';
+const BATCH_CHUNK_SIZE = parseInt(process.env.AI_BATCH_CHUNK_SIZE) || 100;
+const BATCH_ERROR_LIMIT = 1000;
+const MAX_ATTEMPTS = parseInt(process.env.AI_RETRY_MAX_ATTEMPTS) || 5;
+const BASE_BACKOFF_MS = parseInt(process.env.AI_RETRY_BASE_DELAY_MS) || 5000;
+const MAX_BACKOFF_MS = 10 * 60 * 1000;
 
 class QueueWorker {
   constructor(redis, supabase, logger) {
@@ -10,6 +34,10 @@ class QueueWorker {
     this.logger = logger;
     this.running = false;
     this.processingCount = 0;
+    this.failedCount = 0;
+    this.retriedCount = 0;
+    // One limiter per provider so concurrent batches share its rate limit
+    this.limiters = new Map();
   }
 
   /**
@@ -38,12 +66,22 @@ class QueueWorker {
   async processLoop() {
     while (this.running) {
       try {
-        // Wait for job from queue (blocking pop)
-        const result = await this.redis.brpop('ai:classification:queue', 5);
+        // Move retries whose backoff has elapsed back onto the queue
+        await this.promoteDelayedJobs();
+
+        // Wait for job from queue (blocking pop). Live tickets come first,
+        // then inbound messages; batch backfills run one chunk at a time in between.
+        const result = await this.redis.brpop(CLASSIFICATION_QUEUE, MESSAGE_QUEUE, BATCH_QUEUE, 5);
         
         if (result) {
-          const [, jobData] = result;
-          await this.processJob(JSON.parse(jobData));
+          const [queue, jobData] = result;
+          if (queue === BATCH_QUEUE) {
+            await this.processBatchJob(JSON.parse(jobData));
+          } else if (queue === MESSAGE_QUEUE) {
+            await this.processMessageJob(JSON.parse(jobData));
+          } else {
+            await this.processJob(JSON.parse(jobData));
+          }
         }
       } catch (error) {
         this.logger.error('Queue processing error:', error);
@@ -52,52 +90,75 @@ class QueueWorker {
     }
   }
 
+  /**
+   * Re-queue delayed retry jobs (tickets and batch chunks) that are due
+   */
+  async promoteDelayedJobs() {
+    const delayedQueues = [[DELAYED_QUEUE, CLASSIFICATION_QUEUE], [BATCH_DELAYED_QUEUE, BATCH_QUEUE]];
+
+    for (const [delayedQueue, queue] of delayedQueues) {
+      const dueJobs = await this.redis.zrangebyscore(delayedQueue, 0, Date.now());
+
+      for (const jobData of dueJobs) {
+        // Only the worker that removes the entry re-queues it
+        const removed = await this.redis.zrem(delayedQueue, jobData);
+        if (removed) {
+          await this.redis.lpush(queue, jobData);
+        }
+      }
+    }
+  }
+
   /**
    * Process a single job
    */
   async processJob(job) {
     this.processingCount++;
     const startTime = Date.now();
+    const attempts = (job.attempts || 0) + 1;
     
     try {
       this.logger.info('Processing classification job', { 
         ticketId: job.ticketId 
       });
 
-      // Run classification
-      const classification = await classifier.classify({
+      // Run classification with the tenant's provider and taxonomy
+      const tenant = await getTenant(this.supabase, job.tenantId);
+      if (attempts === 1) {
+        await this.recordPii(job, `${job.subject}\n${job.body}`, tenant.settings, { once: true });
+      }
+
+      const taxonomy = await loadTaxonomy(this.supabase, job.tenantId);
+      const examplePool = await getExamplePool(this.redis, this.supabase, job.tenantId);
+      const ai = { settings: tenant.settings, meter: this.createMeter(tenant, job.ticketId) };
+
+      // One request covers classification, sentiment, language and entities
+      const analysis = await classifier.analyzeTicket({
+        id: job.ticketId,
         subject: job.subject,
         body: job.body
-      });
+      }, { ...ai, cache: this.createCache(tenant), taxonomy, examplePool });
+      const { classification } = analysis;
 
-      // Save classification to database
-      await this.supabase
-        .from('classifications')
-        .insert({
-          ticket_id: job.ticketId,
-          predicted_category: classification.category,
-          category_confidence: classification.confidence.category,
-          predicted_priority: classification.priority,
-          priority_confidence: classification.confidence.priority,
-          predicted_sentiment: classification.sentiment.label,
-          sentiment_confidence: classification.confidence.sentiment,
-          sentiment_score: classification.sentiment.score,
-          model_version: classification.modelVersion,
-          processing_time_ms: classification.processingTimeMs
-        });
+      await this.saveClassification(job.ticketId, classification, attempts, {
+        analysisMode: 'combined',
+        summary: analysis.summary,
+        thresholds: triage.getThresholds(tenant.settings)
+      });
+      await this.applyLanguage(job, ai, analysis.language);
+      await this.applyEntities(job, analysis.entities);
 
-      // Update ticket with classification
-      await this.supabase
-        .from('tickets')
-        .update({
-          category: classification.category,
-          priority: classification.priority,
-          sentiment: classification.sentiment.label,
-          sentiment_score: classification.sentiment.score,
-          ai_confidence: classification.overallConfidence,
-          ai_processed: true
-        })
-        .eq('id', job.ticketId);
+      // The ticket body is the customer's first message
+      if (job.messageId) {
+        try {
+          await this.saveMessageSentiment(job, analysis.sentiment);
+        } catch (error) {
+          this.logger.warn('Failed to store message sentiment', {
+            ticketId: job.ticketId,
+            error: error.message
+          });
+        }
+      }
 
       // Queue routing job if auto-routing is enabled
       if (process.env.ENABLE_AUTO_ROUTING === 'true') {
@@ -114,28 +175,484 @@ class QueueWorker {
         priority: classification.priority,
         sentiment: classification.sentiment.label,
         confidence: classification.overallConfidence,
+        tokens: analysis.usage.totalTokens,
+        cached: classification.cached,
         duration
       });
 
     } catch (error) {
-      this.logger.error('Classification job failed', {
+      await this.handleJobFailure(job, attempts, error);
+    } finally {
+      this.processingCount--;
+    }
+  }
+
+  /**
+   * Create a usage meter for a tenant's AI calls (see usage.createMeter)
+   */
+  createMeter(tenant, ticketId = null) {
+    return usage.createMeter({
+      supabase: this.supabase,
+      redis: this.redis,
+      tenant,
+      ticketId
+    });
+  }
+
+  /**
+   * Create a response cache for a tenant's duplicate tickets (null when disabled)
+   */
+  createCache(tenant) {
+    return responseCache.createCache({
+      redis: this.redis,
+      tenantId: tenant.id,
+      settings: tenant.settings
+    });
+  }
+
+  /**
+   * Store a classification and apply the labels confident enough to the ticket;
+   * the rest wait for review in the triage queue
+   * @param {Object} [details] - analysisMode ('classify' or 'combined'), summary,
+   *   thresholds (triage.getThresholds())
+   */
+  async saveClassification(ticketId, classification, attempts = 1, details = {}) {
+    const { classificationFields, ticketUpdate } = triage.applyGate(
+      classification,
+      details.thresholds || triage.DEFAULT_THRESHOLDS
+    );
+
+    await triage.supersedePending(this.supabase, ticketId);
+
+    // Save classification to database
+    await this.supabase
+      .from('classifications')
+      .insert({
+        ticket_id: ticketId,
+        predicted_category: classification.category,
+        category_confidence: classification.confidence.category,
+        predicted_priority: classification.priority,
+        priority_confidence: classification.confidence.priority,
+        predicted_sentiment: classification.sentiment.label,
+        sentiment_confidence: classification.confidence.sentiment,
+        sentiment_score: classification.sentiment.score,
+        model_version: classification.modelVersion,
+        processing_time_ms: classification.processingTimeMs,
+        analysis_mode: details.analysisMode || 'classify',
+        prompt_tokens: classification.usage?.promptTokens,
+        completion_tokens: classification.usage?.completionTokens,
+        tokens_used: classification.usage?.totalTokens,
+        summary: details.summary || null,
+        intent: classification.intent,
+        ...classificationFields
+      });
+
+    // Update ticket with classification
+    const updateData = {
+      ...ticketUpdate,
+      intent: classification.intent,
+      ai_confidence: classification.overallConfidence,
+      ai_processed: true,
+      ai_status: 'completed',
+      ai_error: null,
+      ai_attempts: attempts
+    };
+
+    await this.supabase
+      .from('tickets')
+      .update(updateData)
+      .eq('id', ticketId);
+
+    if (classification.injection?.suspected) {
+      await promptSafety.flagInjection(this.supabase, ticketId, classification.injection);
+    }
+  }
+
+  /**
+   * Record in ticket metadata which kinds of PII were redacted from AI calls
+   * (counts only, never values). With `once`, tickets that already have counts
+   * are skipped so reclassifying or backfilling the same text does not add it again.
+   */
+  async recordPii(job, text, settings, { once = false } = {}) {
+    const counts = pii.countPii(text, settings);
+    if (Object.keys(counts).length === 0) return;
+
+    try {
+      const { data: ticket } = await this.supabase
+        .from('tickets')
+        .select('metadata')
+        .eq('id', job.ticketId)
+        .single();
+
+      const metadata = ticket?.metadata || {};
+      if (once && metadata.pii) return;
+
+      const redacted = { ...(metadata.pii?.redacted || {}) };
+      for (const [type, count] of Object.entries(counts)) {
+        redacted[type] = (redacted[type] || 0) + count;
+      }
+
+      await this.supabase
+        .from('tickets')
+        .update({
+          metadata: {
+            ...metadata,
+            pii: { redacted, lastRedactedAt: new Date().toISOString() }
+          }
+        })
+        .eq('id', job.ticketId);
+    } catch (error) {
+      this.logger.warn('Failed to record PII redaction', {
         ticketId: job.ticketId,
         error: error.message
       });
-      
-      // Re-queue if it's a temporary error
-      if (this.isRetryableError(error)) {
-        await this.redis.lpush('ai:classification:queue:retry', JSON.stringify(job));
+    }
+  }
+
+  /**
+   * Detect a new ticket's language and translate it for agents when it is not
+   * the tenant's working language. Failures are logged, never retried: the
+   * ticket is still usable in its original language.
+   * @param {Object} ai - { settings, meter } for AI calls
+   */
+  async applyLanguage(job, ai, detectedLanguage) {
+    try {
+      const language = detectedLanguage ||
+        await classifier.detectLanguage(`${job.subject}\n${job.body}`, ai);
+      if (!language) return;
+
+      const updateData = { language };
+      const workingLanguage = translator.getWorkingLanguage(ai.settings);
+
+      if (language !== workingLanguage) {
+        const options = { ...ai, sourceLanguage: language };
+        updateData.translated_subject = await translator.translate(job.subject, workingLanguage, options);
+        updateData.translated_body = await translator.translate(job.body, workingLanguage, options);
+        updateData.translated_language = workingLanguage;
+      }
+
+      await this.supabase
+        .from('tickets')
+        .update(updateData)
+        .eq('id', job.ticketId);
+
+      // The ticket body is also the first message
+      if (job.messageId) {
+        await this.supabase
+          .from('ticket_messages')
+          .update({ language, translated_body: updateData.translated_body || null })
+          .eq('id', job.messageId);
       }
+    } catch (error) {
+      this.logger.warn('Ticket translation failed', {
+        ticketId: job.ticketId,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Store extracted entities and link tickets that mention the same order.
+   * Failures are logged, never retried.
+   */
+  async applyEntities(job, extracted) {
+    try {
+      const rows = await entities.saveEntities(this.supabase, {
+        tenantId: job.tenantId,
+        ticketId: job.ticketId,
+        entities: extracted
+      });
+
+      const orderIds = rows
+        .filter(row => row.entity_type === 'order_id')
+        .map(row => row.normalized_value);
+
+      await entities.linkSameOrderTickets(this.supabase, {
+        tenantId: job.tenantId,
+        ticketId: job.ticketId,
+        orderIds
+      });
+    } catch (error) {
+      this.logger.warn('Failed to store entities', {
+        ticketId: job.ticketId,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Detect an inbound message's language and translate it for agents
+   * @param {Object} ai - { settings, meter } for AI calls
+   */
+  async translateMessage(job, ai) {
+    try {
+      const language = await classifier.detectLanguage(job.body, ai);
+      if (!language) return;
+
+      const updateData = { language };
+      const workingLanguage = translator.getWorkingLanguage(ai.settings);
+
+      if (language !== workingLanguage) {
+        updateData.translated_body = await translator.translate(job.body, workingLanguage, {
+          ...ai,
+          sourceLanguage: language
+        });
+      }
+
+      await this.supabase
+        .from('ticket_messages')
+        .update(updateData)
+        .eq('id', job.messageId);
+    } catch (error) {
+      this.logger.warn('Message translation failed', {
+        ticketId: job.ticketId,
+        messageId: job.messageId,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Translate an inbound customer message and extract its entities, then
+   * score it and store the result in sentiment_scores
+   */
+  async processMessageJob(job) {
+    this.processingCount++;
+
+    try {
+      const tenant = await getTenant(this.supabase, job.tenantId);
+      await this.recordPii(job, job.body, tenant.settings);
+
+      const ai = { settings: tenant.settings, meter: this.createMeter(tenant, job.ticketId) };
+      await this.translateMessage(job, ai);
+
+      const extracted = await classifier.extractEntities(job.body, ai);
+      if (!extracted.failed) {
+        await this.applyEntities(job, extracted);
+      }
+
+      const sentiment = await classifier.analyzeSentiment(job.body, ai);
+
+      // A failed analysis returns zeros; storing them would read as "neutral"
+      if (sentiment.failed) {
+        this.logger.warn('Message sentiment analysis failed', {
+          ticketId: job.ticketId,
+          messageId: job.messageId
+        });
+        return;
+      }
+
+      await this.saveMessageSentiment(job, sentiment);
+    } catch (error) {
+      this.logger.error('Message job failed', {
+        ticketId: job.ticketId,
+        messageId: job.messageId,
+        error: error.message
+      });
     } finally {
       this.processingCount--;
     }
   }
 
+  /**
+   * Store a message's detailed sentiment in sentiment_scores
+   */
+  async saveMessageSentiment(job, sentiment) {
+    const clamp = (value, min = 0) => Math.max(min, Math.min(1, Number(value) || 0));
+    // Magnitude and emotions may be missing from a combined analysis; store them as unknown
+    const optional = (value) => (value === undefined || value === null ? null : clamp(value));
+
+    const { error } = await this.supabase
+      .from('sentiment_scores')
+      .insert({
+        ticket_id: job.ticketId,
+        message_id: job.messageId,
+        score: clamp(sentiment.score, -1),
+        magnitude: optional(sentiment.magnitude),
+        joy: optional(sentiment.emotions?.joy),
+        anger: optional(sentiment.emotions?.anger),
+        sadness: optional(sentiment.emotions?.sadness),
+        fear: optional(sentiment.emotions?.fear),
+        disgust: optional(sentiment.emotions?.disgust),
+        model_version: sentiment.modelVersion
+      });
+
+    if (error) throw error;
+  }
+
+  /**
+   * Process one chunk of a batch classification backfill
+   */
+  async processBatchJob(job) {
+    const batchKey = `ai:batch:${job.batchId}`;
+    const batch = await this.redis.hgetall(batchKey);
+
+    if (!batch || batch.status === 'cancelled') return;
+
+    try {
+      await this.redis.hset(batchKey, 'status', 'running');
+
+      const tenant = await getTenant(this.supabase, job.tenantId);
+      const taxonomy = await loadTaxonomy(this.supabase, job.tenantId);
+      const examplePool = await getExamplePool(this.redis, this.supabase, job.tenantId);
+
+      // Keyset pagination on id stays stable while tickets change ai_status
+      let query = buildTicketQuery(this.supabase, { ...job.filters, tenantId: job.tenantId })
+        .order('id', { ascending: true })
+        .limit(BATCH_CHUNK_SIZE);
+      if (job.cursor) query = query.gt('id', job.cursor);
+
+      const { data: tickets, error } = await query;
+      if (error) throw error;
+
+      const thresholds = triage.getThresholds(tenant.settings);
+      const ticketsById = new Map((tickets || []).map(ticket => [ticket.id, ticket]));
+
+      const results = await classifier.classifyBatch(tickets || [], {
+        settings: tenant.settings,
+        meterFor: ticket => this.createMeter(tenant, ticket.id),
+        cache: this.createCache(tenant),
+        taxonomy,
+        examplePool,
+        concurrency: job.concurrency,
+        limiter: this.getLimiter(tenant.settings),
+        onResult: async (result) => {
+          // Each ticket's own text was redacted before its provider call
+          const ticket = ticketsById.get(result.ticketId);
+          if (ticket) {
+            await this.recordPii({ ticketId: ticket.id }, `${ticket.subject}\n${ticket.body}`, tenant.settings, { once: true });
+          }
+
+          if (result.success) {
+            await this.saveClassification(result.ticketId, result.classification, 1, { thresholds });
+            await this.redis.hincrby(batchKey, 'succeeded', 1);
+          } else {
+            await this.supabase
+              .from('tickets')
+              .update({ ai_status: 'failed', ai_error: result.error })
+              .eq('id', result.ticketId);
+            await this.redis.hincrby(batchKey, 'failed', 1);
+            await this.redis.lpush(`${batchKey}:errors`, JSON.stringify({
+              ticketId: result.ticketId,
+              error: result.error
+            }));
+            await this.redis.ltrim(`${batchKey}:errors`, 0, BATCH_ERROR_LIMIT - 1);
+          }
+          await this.redis.hincrby(batchKey, 'processed', 1);
+        }
+      });
+
+      if (results.length === BATCH_CHUNK_SIZE) {
+        // More tickets may match: queue the next chunk behind live jobs
+        await this.redis.lpush(BATCH_QUEUE, JSON.stringify({
+          ...job,
+          cursor: tickets[tickets.length - 1].id,
+          attempts: 0
+        }));
+      } else {
+        await this.redis.hset(batchKey, 'status', 'completed', 'completedAt', new Date().toISOString());
+        this.logger.info('Batch classification completed', { batchId: job.batchId });
+      }
+    } catch (error) {
+      await this.handleBatchChunkFailure(job, error);
+    }
+  }
+
+  /**
+   * Retry a failed batch chunk with backoff; the batch only fails once the
+   * same chunk has failed MAX_ATTEMPTS times
+   */
+  async handleBatchChunkFailure(job, error) {
+    const batchKey = `ai:batch:${job.batchId}`;
+    const attempts = (job.attempts || 0) + 1;
+    const willRetry = attempts < MAX_ATTEMPTS;
+
+    this.logger.error('Batch classification chunk failed', {
+      batchId: job.batchId,
+      cursor: job.cursor || null,
+      attempts,
+      willRetry,
+      error: error.message
+    });
+
+    try {
+      if (willRetry) {
+        const delay = Math.min(BASE_BACKOFF_MS * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+        await this.redis.zadd(BATCH_DELAYED_QUEUE, Date.now() + delay, JSON.stringify({ ...job, attempts }));
+        await this.redis.hset(batchKey, 'lastChunkError', error.message);
+      } else {
+        await this.redis.hset(batchKey, 'status', 'failed', 'error', error.message);
+      }
+    } catch (queueError) {
+      this.logger.error('Failed to record batch chunk failure', {
+        batchId: job.batchId,
+        error: queueError.message
+      });
+    }
+  }
+
+  /**
+   * Get the shared rate limiter for a tenant's classification provider
+   */
+  getLimiter(settings) {
+    const { provider, rateLimitRpm } = providers.describeProvider(settings, 'classify');
+    const key = `${provider}:${rateLimitRpm}`;
+
+    if (!this.limiters.has(key)) {
+      this.limiters.set(key, TokenBucket.perMinute(rateLimitRpm));
+    }
+
+    return this.limiters.get(key);
+  }
+
+  /**
+   * Flag the ticket as failed and schedule a retry with exponential backoff.
+   * The ticket keeps whatever category/priority it had; no fallback values are written.
+   */
+  async handleJobFailure(job, attempts, error) {
+    const willRetry = this.isRetryableError(error) && attempts < MAX_ATTEMPTS;
+    this.failedCount++;
+
+    this.logger.error('Classification job failed', {
+      ticketId: job.ticketId,
+      attempts,
+      willRetry,
+      error: error.message
+    });
+
+    try {
+      await this.supabase
+        .from('tickets')
+        .update({
+          ai_status: 'failed',
+          ai_error: error.message,
+          ai_attempts: attempts
+        })
+        .eq('id', job.ticketId);
+
+      if (willRetry) {
+        const delay = Math.min(BASE_BACKOFF_MS * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+        await this.redis.zadd(
+          DELAYED_QUEUE,
+          Date.now() + delay,
+          JSON.stringify({ ...job, attempts })
+        );
+        this.retriedCount++;
+      }
+    } catch (flagError) {
+      this.logger.error('Failed to record classification failure', {
+        ticketId: job.ticketId,
+        error: flagError.message
+      });
+    }
+  }
+
   /**
    * Check if error is retryable
    */
   isRetryableError(error) {
+    if (error.retryable !== undefined) return error.retryable;
+
     const retryableCodes = [
       'ECONNRESET',
       'ETIMEDOUT',
@@ -157,11 +674,16 @@ class QueueWorker {
 
   /**
    * Get worker stats
+   * @param {string} [tenantId] - Limit AI output and cache metrics to one tenant
    */
-  getStats() {
+  getStats(tenantId) {
     return {
       running: this.running,
-      processingCount: this.processingCount
+      processingCount: this.processingCount,
+      failedCount: this.failedCount,
+      retriedCount: this.retriedCount,
+      structuredOutput: structuredOutput.getMetrics(tenantId),
+      responseCache: responseCache.getMetrics(tenantId)
     };
   }
 }
@@ -0,0 +1,75 @@
+/**
+ * Token bucket rate limiter for outbound AI provider calls
+ */
+
+class TokenBucket {
+  /**
+   * @param {Object} options - Limiter options
+   * @param {number} options.capacity - Maximum burst size
+   * @param {number} options.refillPerSecond - Tokens added per second
+   */
+  constructor({ capacity, refillPerSecond }) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.tokens = capacity;
+    this.lastRefill = Date.now();
+  }
+
+  /**
+   * Create a bucket from a requests-per-minute limit
+   * @param {number} requestsPerMinute - Provider limit (0 or less = unlimited)
+   * @returns {TokenBucket|null} Bucket, or null when unlimited
+   */
+  static perMinute(requestsPerMinute) {
+    if (!requestsPerMinute || requestsPerMinute <= 0) return null;
+
+    return new TokenBucket({
+      // Allow short bursts without exceeding the per-minute budget
+      capacity: Math.max(1, Math.ceil(requestsPerMinute / 60)),
+      refillPerSecond: requestsPerMinute / 60
+    });
+  }
+
+  /**
+   * Add tokens accrued since the last refill
+   */
+  refill() {
+    const now = Date.now();
+    const elapsed = (now - this.lastRefill) / 1000;
+
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerSecond);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Take tokens without waiting
+   * @param {number} count - Tokens to take
+   * @returns {boolean} Whether the tokens were taken
+   */
+  tryTake(count = 1) {
+    this.refill();
+
+    if (this.tokens >= count) {
+      this.tokens -= count;
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Wait until tokens are available, then take them
+   * @param {number} count - Tokens to take
+   */
+  async take(count = 1) {
+    while (!this.tryTake(count)) {
+      const missing = count - this.tokens;
+      const waitMs = Math.ceil((missing / this.refillPerSecond) * 1000);
+      await new Promise(resolve => setTimeout(resolve, Math.max(waitMs, 10)));
+    }
+  }
+}
+
+module.exports = {
+  TokenBucket
+};
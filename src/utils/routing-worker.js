@@ -0,0 +1,203 @@
+/**
+ * Routing worker for automatically assigning classified tickets
+ * Consumes ai:routing:queue (filled by the queue worker when
+ * ENABLE_AUTO_ROUTING is set). Teams with auto_assign = false only get a
+ * suggestion; tickets that already have an agent or team are left alone.
+ */
+const { routeTicket, applyRoutingDecision } = require('./routing');
+
+const ROUTING_QUEUE = 'ai:routing:queue';
+const LOCK_TTL_SECONDS = 5 * 60;
+const MAX_ATTEMPTS = 3;
+
+// Tickets in these states are not routed
+const SKIPPED_STATUSES = ['resolved', 'closed', 'spam'];
+
+class RoutingWorker {
+  constructor(redis, supabase, logger) {
+    this.redis = redis;
+    this.supabase = supabase;
+    this.logger = logger;
+    this.running = false;
+    this.processingCount = 0;
+    this.assignedCount = 0;
+    this.suggestedCount = 0;
+    this.skippedCount = 0;
+    this.failedCount = 0;
+  }
+
+  /**
+   * Start the routing worker
+   */
+  start() {
+    if (this.running) return;
+
+    this.running = true;
+    this.logger.info('Routing worker started');
+
+    this.processLoop();
+  }
+
+  /**
+   * Stop the routing worker
+   */
+  stop() {
+    this.running = false;
+    this.logger.info('Routing worker stopping...');
+  }
+
+  /**
+   * Main processing loop
+   */
+  async processLoop() {
+    while (this.running) {
+      try {
+        const result = await this.redis.brpop(ROUTING_QUEUE, 5);
+
+        if (result) {
+          await this.processJob(JSON.parse(result[1]));
+        }
+      } catch (error) {
+        this.logger.error('Routing queue processing error:', error);
+        await this.sleep(1000);
+      }
+    }
+  }
+
+  /**
+   * Route a single ticket
+   * @param {Object} job - { ticketId, tenantId, attempts? }
+   * @returns {string} Outcome: assigned, suggested, skipped or failed
+   */
+  async processJob(job) {
+    this.processingCount++;
+
+    // Duplicate jobs for the same ticket (e.g. after reclassification) run once at a time
+    const lockKey = `ai:routing:lock:${job.ticketId}`;
+    const locked = await this.redis.set(lockKey, '1', 'EX', LOCK_TTL_SECONDS, 'NX');
+    if (!locked) {
+      this.processingCount--;
+      return this.skip(job, 'already being routed');
+    }
+
+    try {
+      const { data: ticket } = await this.supabase
+        .from('tickets')
+        .select('*')
+        .eq('id', job.ticketId)
+        .eq('tenant_id', job.tenantId)
+        .single();
+
+      if (!ticket) return this.skip(job, 'ticket not found');
+      // Someone already assigned an agent or a team by hand
+      if (ticket.assigned_to || ticket.assigned_team) return this.skip(job, 'already assigned');
+      if (ticket.merged_into || SKIPPED_STATUSES.includes(ticket.status)) {
+        return this.skip(job, `status ${ticket.merged_into ? 'merged' : ticket.status}`);
+      }
+
+      // Routed automatically before (assigned or suggested); agents take it from there
+      const { data: previous } = await this.supabase
+        .from('routing_decisions')
+        .select('id')
+        .eq('ticket_id', ticket.id)
+        .eq('source', 'auto')
+        .limit(1);
+
+      if (previous && previous.length > 0) return this.skip(job, 'already routed');
+
+      const { routing, context } = await routeTicket(this.supabase, this.redis, job.tenantId, ticket, this.logger);
+
+      if (!routing.assignToTeam && !routing.assignToUser) {
+        return this.skip(job, 'no team or agent available');
+      }
+
+      const team = context.teams.find(t => t.id === routing.assignToTeam);
+      const autoAssign = team?.auto_assign !== false;
+
+      const { decision, applied } = await applyRoutingDecision(this.supabase, {
+        tenantId: job.tenantId,
+        ticket,
+        routing,
+        source: 'auto',
+        apply: autoAssign,
+        // Someone may have assigned the ticket while it was being routed
+        onlyIfUnassigned: true
+      });
+
+      if (applied) {
+        this.assignedCount++;
+      } else {
+        this.suggestedCount++;
+      }
+
+      this.logger.info(applied ? 'Ticket auto-assigned' : 'Routing suggested', {
+        ticketId: ticket.id,
+        teamId: routing.assignToTeam,
+        userId: routing.assignToUser,
+        routingDecisionId: decision.id,
+        reason: autoAssign ? routing.reason : 'team auto_assign is off'
+      });
+
+      return applied ? 'assigned' : 'suggested';
+    } catch (error) {
+      return this.handleJobFailure(job, error);
+    } finally {
+      await this.redis.del(lockKey);
+      this.processingCount--;
+    }
+  }
+
+  /**
+   * Log a job that needs no routing
+   */
+  skip(job, reason) {
+    this.skippedCount++;
+    this.logger.info('Routing skipped', { ticketId: job.ticketId, reason });
+    return 'skipped';
+  }
+
+  /**
+   * Re-queue a failed job a limited number of times
+   */
+  async handleJobFailure(job, error) {
+    const attempts = (job.attempts || 0) + 1;
+    const willRetry = attempts < MAX_ATTEMPTS;
+    this.failedCount++;
+
+    this.logger.error('Routing job failed', {
+      ticketId: job.ticketId,
+      attempts,
+      willRetry,
+      error: error.message
+    });
+
+    if (willRetry) {
+      await this.redis.lpush(ROUTING_QUEUE, JSON.stringify({ ...job, attempts }));
+    }
+
+    return 'failed';
+  }
+
+  /**
+   * Sleep helper
+   */
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Get worker stats
+   */
+  getStats() {
+    return {
+      running: this.running,
+      processingCount: this.processingCount,
+      assignedCount: this.assignedCount,
+      suggestedCount: this.suggestedCount,
+      skippedCount: this.skippedCount,
+      failedCount: this.failedCount
+    };
+  }
+}
+
+module.exports = RoutingWorker;
@@ -0,0 +1,231 @@
+/**
+ * Routing utilities for TicketAI
+ * Loads everything route() needs for a tenant, runs it and applies or records
+ * the decision. Shared by POST /api/tickets/:id/assign, the routing worker and
+ * rule simulation.
+ */
+const routerAI = require('../ai/router');
+const taxonomy = require('../ai/taxonomy');
+const intents = require('../ai/intents');
+const conditions = require('../ai/conditions');
+const { routingConditionsSchema } = require('./validators');
+const { getTenant } = require('./db');
+const presence = require('./presence');
+
+/**
+ * Split rules into ones route() can evaluate and ones with malformed conditions
+ * (e.g. rows written before conditions were validated)
+ * @param {Array} rules - routing_rules rows
+ * @returns {Object} { valid, invalid }
+ */
+function partitionRules(rules) {
+  const valid = [];
+  const invalid = [];
+
+  for (const rule of rules || []) {
+    (routingConditionsSchema.safeParse(rule.conditions).success ? valid : invalid).push(rule);
+  }
+
+  return { valid, invalid };
+}
+
+/**
+ * Load agents, teams, rules and tenant settings for routing
+ * @param {Object} supabase - Supabase client
+ * @param {string} tenantId - Tenant ID
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.includeInactive] - Also load inactive rules
+ * @param {Object} [options.redis] - Redis client; adds agent presence (agent.presence)
+ * @returns {Object} { agents, teams, rules, invalidRules, taxonomy, tenant, intentActions, businessHours }
+ */
+async function loadRoutingContext(supabase, tenantId, { includeInactive = false, redis = null } = {}) {
+  const { data: agents } = await supabase
+    .from('users')
+    .select('*, team_members(team_id, teams(id, name, skills))')
+    .eq('tenant_id', tenantId)
+    .eq('is_active', true)
+    .eq('role', 'agent');
+
+  const { data: teams } = await supabase
+    .from('teams')
+    .select('*, team_members(user_id)')
+    .eq('tenant_id', tenantId);
+
+  let rulesQuery = supabase
+    .from('routing_rules')
+    .select('*')
+    .eq('tenant_id', tenantId);
+  if (!includeInactive) rulesQuery = rulesQuery.eq('is_active', true);
+
+  const { data: rules } = await rulesQuery.order('priority', { ascending: false });
+  const { valid, invalid } = partitionRules(rules);
+
+  const tenantTaxonomy = await taxonomy.loadTaxonomy(supabase, tenantId);
+  const tenant = await getTenant(supabase, tenantId);
+
+  const presenceSettings = presence.getPresenceSettings(tenant.settings);
+  const routingAgents = redis && presenceSettings.enabled
+    ? await presence.attachPresence(redis, tenantId, agents || [])
+    : agents || [];
+
+  return {
+    agents: routingAgents,
+    teams: teams || [],
+    rules: valid,
+    invalidRules: invalid,
+    taxonomy: tenantTaxonomy,
+    tenant,
+    intentActions: intents.getIntentActions(tenant.settings),
+    businessHours: conditions.getBusinessHours(tenant.settings)
+  };
+}
+
+/**
+ * Route a ticket with the tenant's current agents, teams and rules
+ * @param {Object} supabase - Supabase client
+ * @param {Object} redis - Redis client (agent presence)
+ * @param {string} tenantId - Tenant ID
+ * @param {Object} ticket - Ticket row
+ * @param {Object} [logger] - Logger for skipped rules
+ * @returns {Object} { routing, context }
+ */
+async function routeTicket(supabase, redis, tenantId, ticket, logger) {
+  const context = await loadRoutingContext(supabase, tenantId, { redis });
+
+  // Malformed conditions (e.g. rows written before validation) are skipped, not guessed at
+  for (const rule of context.invalidRules) {
+    logger?.warn('Skipping routing rule with invalid conditions', { ruleId: rule.id, tenantId });
+  }
+
+  const routing = await routerAI.route({
+    ticket,
+    agents: context.agents,
+    teams: context.teams,
+    rules: context.rules,
+    taxonomy: context.taxonomy,
+    intentActions: context.intentActions,
+    businessHours: context.businessHours
+  });
+
+  return { routing, context };
+}
+
+/**
+ * Store a routing decision and its step-by-step trace
+ * @param {Object} supabase - Supabase client
+ * @param {Object} params - Parameters
+ * @param {string} params.tenantId - Tenant ID
+ * @param {string} params.ticketId - Ticket ID
+ * @param {Object} params.routing - Result of route()
+ * @param {string} params.source - What triggered routing (manual_assign, auto, ...)
+ * @param {string} [params.userId] - User who triggered it
+ * @param {boolean} [params.applied] - Whether the decision was written to the ticket
+ * @returns {Object} routing_decisions row
+ */
+async function recordRoutingDecision(supabase, { tenantId, ticketId, routing, source, userId = null, applied = true }) {
+  const { data: decision, error } = await supabase
+    .from('routing_decisions')
+    .insert({
+      tenant_id: tenantId,
+      ticket_id: ticketId,
+      source,
+      triggered_by: userId,
+      rule_id: routing.ruleId || null,
+      assigned_team: routing.assignToTeam || null,
+      assigned_to: routing.assignToUser || null,
+      set_priority: routing.setPriority || null,
+      add_tags: routing.addTags || [],
+      reason: routing.reason,
+      confidence: routing.confidence,
+      trace: routing.trace || [],
+      applied
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  return decision;
+}
+
+/**
+ * Apply a routing decision to its ticket (or only suggest it), record it
+ * and write ticket history
+ * @param {Object} supabase - Supabase client
+ * @param {Object} params - Parameters
+ * @param {string} params.tenantId - Tenant ID
+ * @param {Object} params.ticket - Ticket row (id, tags)
+ * @param {Object} params.routing - Result of route()
+ * @param {string} params.source - manual_assign or auto
+ * @param {string} [params.userId] - User who triggered routing
+ * @param {boolean} [params.apply] - false records a suggestion without changing the ticket
+ * @param {boolean} [params.onlyIfUnassigned] - Skip the update if an agent or team was assigned meanwhile
+ * @returns {Object} { decision, applied }
+ */
+async function applyRoutingDecision(supabase, {
+  tenantId,
+  ticket,
+  routing,
+  source,
+  userId = null,
+  apply = true,
+  onlyIfUnassigned = false
+}) {
+  let applied = false;
+
+  if (apply) {
+    const updateData = {};
+    if (routing.assignToUser) updateData.assigned_to = routing.assignToUser;
+    if (routing.assignToTeam) updateData.assigned_team = routing.assignToTeam;
+    if (routing.setPriority) updateData.priority = routing.setPriority;
+
+    // Add tags if specified
+    if (routing.addTags && routing.addTags.length > 0) {
+      updateData.tags = [...new Set([...(ticket.tags || []), ...routing.addTags])];
+    }
+
+    let query = supabase
+      .from('tickets')
+      .update(updateData)
+      .eq('id', ticket.id)
+      .eq('tenant_id', tenantId);
+    if (onlyIfUnassigned) query = query.is('assigned_to', null).is('assigned_team', null);
+
+    const { data: updated, error } = await query.select('id');
+
+    if (error) throw error;
+    applied = (updated || []).length > 0;
+  }
+
+  // Keep the full trace for GET /api/tickets/:id/routing-trace; history gets the outcome
+  const decision = await recordRoutingDecision(supabase, {
+    tenantId,
+    ticketId: ticket.id,
+    routing,
+    source,
+    userId,
+    applied
+  });
+
+  const { trace, ...outcome } = routing;
+
+  await supabase
+    .from('ticket_history')
+    .insert({
+      ticket_id: ticket.id,
+      action: applied ? 'auto_assigned' : 'routing_suggested',
+      performed_by: userId,
+      new_value: JSON.stringify(outcome),
+      metadata: { routingDecisionId: decision.id, source }
+    });
+
+  return { decision, applied };
+}
+
+module.exports = {
+  partitionRules,
+  loadRoutingContext,
+  routeTicket,
+  recordRoutingDecision,
+  applyRoutingDecision
+};
@@ -2,6 +2,7 @@
  * Validation utilities using Zod
  */
 const { z } = require('zod');
+const conditions = require('../ai/conditions');
 
 // UUID schema
 const uuidSchema = z.string().uuid();
@@ -30,12 +31,13 @@ const dateRangeSchema = z.object({
   message: 'dateFrom must be before or equal to dateTo'
 });
 
-// Ticket filters schema
+// Ticket filters schema (priority/sentiment labels come from the tenant taxonomy)
 const ticketFiltersSchema = z.object({
   status: z.enum(['open', 'pending', 'resolved', 'closed', 'spam']).optional(),
-  priority: z.enum(['low', 'medium', 'high', 'urgent']).optional(),
+  priority: z.string().optional(),
   category: z.string().optional(),
-  sentiment: z.enum(['positive', 'neutral', 'negative', 'very_negative']).optional(),
+  sentiment: z.string().optional(),
+  intent: z.string().optional(),
   assignedTo: uuidSchema.optional(),
   assignedTeam: uuidSchema.optional(),
   search: z.string().optional(),
@@ -54,6 +56,94 @@ const webhookPayloadSchema = z.object({
   data: z.record(z.any())
 });
 
+// Routing rule conditions (evaluated by ai/conditions.js)
+const conditionScalarSchema = z.union([z.string(), z.number(), z.boolean(), z.null()]);
+const timeOfDaySchema = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, 'Expected HH:MM');
+
+const timezoneSchema = z.string().refine(timezone => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}, { message: 'Unknown timezone' });
+
+// $regex runs on RE2 (linear time): no lookarounds or backreferences
+const regexSchema = z.string().min(1).max(200).refine(pattern => conditions.compilePattern(pattern) !== null, {
+  message: 'Invalid regular expression (RE2 syntax: no lookarounds or backreferences)'
+});
+
+const fieldOperatorsSchema = z.object({
+  $eq: conditionScalarSchema.optional(),
+  $ne: conditionScalarSchema.optional(),
+  $gt: z.union([z.number(), z.string()]).optional(),
+  $gte: z.union([z.number(), z.string()]).optional(),
+  $lt: z.union([z.number(), z.string()]).optional(),
+  $lte: z.union([z.number(), z.string()]).optional(),
+  $in: z.array(conditionScalarSchema).min(1).optional(),
+  $nin: z.array(conditionScalarSchema).min(1).optional(),
+  $contains: z.union([z.string().min(1), z.array(z.string().min(1)).min(1)]).optional(),
+  $regex: regexSchema.optional(),
+  $options: z.string().regex(/^[imsu]*$/, 'Allowed flags: i, m, s, u').optional(),
+  $exists: z.boolean().optional()
+}).strict()
+  .refine(operators => Object.keys(operators).some(key => key !== '$options'), {
+    message: 'At least one operator is required'
+  })
+  .refine(operators => operators.$options === undefined || operators.$regex !== undefined, {
+    message: '$options requires $regex'
+  });
+
+const fieldConditionSchema = z.union([
+  conditionScalarSchema,
+  z.array(conditionScalarSchema).min(1),
+  fieldOperatorsSchema
+]);
+
+const scheduleSchema = z.object({
+  days: z.array(z.enum(conditions.DAYS)).min(1).optional(),
+  start: timeOfDaySchema.optional(),
+  end: timeOfDaySchema.optional(),
+  timezone: timezoneSchema.optional()
+}).strict();
+
+// Tenant business hours (settings.businessHours)
+const businessHoursSchema = z.object({
+  timezone: timezoneSchema,
+  days: z.array(z.enum(conditions.DAYS)).min(1),
+  start: timeOfDaySchema,
+  end: timeOfDaySchema
+});
+
+const routingConditionsSchema = z.lazy(() => z.object({
+  $and: z.array(routingConditionsSchema).min(1).optional(),
+  $or: z.array(routingConditionsSchema).min(1).optional(),
+  $not: routingConditionsSchema.optional(),
+  $businessHours: z.boolean().optional(),
+  $schedule: scheduleSchema.optional()
+}).catchall(fieldConditionSchema).superRefine((value, ctx) => {
+  const keys = Object.keys(value);
+
+  if (keys.length === 0) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'Conditions must not be empty' });
+  }
+
+  for (const key of keys) {
+    const known = key.startsWith('$')
+      ? [...conditions.GROUP_OPERATORS, ...conditions.TIME_OPERATORS].includes(key)
+      : conditions.CONDITION_FIELDS.includes(key);
+
+    if (!known) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: [key],
+        message: key.startsWith('$') ? `Unknown operator: ${key}` : `Unknown field: ${key}`
+      });
+    }
+  }
+}));
+
 /**
  * Validate data against schema
  * @param {Object} data - Data to validate
@@ -108,6 +198,8 @@ module.exports = {
   ticketFiltersSchema,
   analyticsPeriodSchema,
   webhookPayloadSchema,
+  routingConditionsSchema,
+  businessHoursSchema,
   validate,
   safeJsonParse,
   sanitizeSql
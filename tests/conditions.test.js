@@ -0,0 +1,37 @@
+const conditions = require('../src/ai/conditions');
+const { routingConditionsSchema } = require('../src/utils/validators');
+
+describe('$regex conditions', () => {
+  it('matches case-insensitively with $options', () => {
+    const rule = { body: { $regex: 'charged (twice|two times)', $options: 'i' } };
+
+    expect(conditions.matchesConditions({ body: 'I was CHARGED twice' }, rule)).toBe(true);
+    expect(conditions.matchesConditions({ body: 'I was charged once' }, rule)).toBe(false);
+  });
+
+  it.each([
+    ['a*a*a*a*a*a*b', 'a'.repeat(2000)],
+    ['\\s*\\s*\\s*\\s*x', ' '.repeat(2000)],
+    ['(a+)+$', `${'a'.repeat(1990)}!`],
+    ['(a|ab)*c', 'ab'.repeat(1000)]
+  ])('runs %s in linear time', (pattern, body) => {
+    expect(routingConditionsSchema.safeParse({ body: { $regex: pattern } }).success).toBe(true);
+
+    const start = Date.now();
+    expect(conditions.matchesConditions({ body }, { body: { $regex: pattern } })).toBe(false);
+    expect(Date.now() - start).toBeLessThan(1000);
+  });
+
+  it('only searches the start of long fields', () => {
+    const body = `${'x'.repeat(5000)} refund`;
+
+    expect(conditions.matchesConditions({ body }, { body: { $regex: 'refund' } })).toBe(false);
+  });
+
+  it('rejects patterns RE2 cannot run', () => {
+    for (const pattern of ['(?<=a)b', '(a)\\1', '(unclosed']) {
+      expect(routingConditionsSchema.safeParse({ body: { $regex: pattern } }).success).toBe(false);
+      expect(conditions.matchesConditions({ body: 'ab' }, { body: { $regex: pattern } })).toBe(false);
+    }
+  });
+});
@@ -0,0 +1,14 @@
+const providers = require('../src/ai/providers');
+
+describe('openai_compatible apiKeyEnv', () => {
+  const settings = { provider: 'openai_compatible', baseURL: 'https://llm.example.com/v1' };
+
+  it('accepts AI_API_KEY and AI_API_KEY_* names', () => {
+    expect(providers.resolveProvider(settings).name).toBe('openai_compatible');
+    expect(providers.resolveProvider({ ...settings, apiKeyEnv: 'AI_API_KEY_ACME' }).name).toBe('openai_compatible');
+  });
+
+  it.each(['JWT_SECRET', 'SUPABASE_KEY', 'OPENAI_API_KEY', 'AI_API_KEY-X', 'ai_api_key'])('rejects %s', (apiKeyEnv) => {
+    expect(() => providers.resolveProvider({ ...settings, apiKeyEnv })).toThrow('apiKeyEnv');
+  });
+});
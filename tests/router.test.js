@@ -0,0 +1,21 @@
+const { route } = require('../src/ai/router');
+
+describe('intent routing', () => {
+  const teams = [{ id: 'team-billing', name: 'Billing' }, { id: 'team-vip', name: 'VIP' }];
+  const intentActions = { refund_request: { type: 'route', teamId: 'team-vip' } };
+  const ticket = { id: 't1', subject: 'Refund', body: 'Please refund me', intent: 'refund_request', category: 'billing' };
+
+  it('routes by intent', async () => {
+    const routing = await route({ ticket, agents: [], teams, rules: [], intentActions });
+
+    expect(routing.assignToTeam).toBe('team-vip');
+  });
+
+  it('skips intent routing for suspected prompt injection', async () => {
+    const suspected = { ...ticket, metadata: { injection: { suspected: true } } };
+    const routing = await route({ ticket: suspected, agents: [], teams, rules: [], intentActions });
+
+    expect(routing.assignToTeam).not.toBe('team-vip');
+    expect(routing.trace.find(step => step.step === 'intent')).toMatchObject({ skipped: 'injection_suspected' });
+  });
+});
@@ -0,0 +1,5 @@
+/**
+ * Jest setup: tests never call a real AI provider
+ */
+process.env.NODE_ENV = 'test';
+process.env.AI_PROVIDER = 'stub';
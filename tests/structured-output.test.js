@@ -0,0 +1,41 @@
+const { z } = require('zod');
+const providers = require('../src/ai/providers');
+const { completeJson, getMetrics } = require('../src/ai/structured-output');
+
+// Returns invalid JSON, then fails on the re-ask
+let calls = 0;
+providers.registerProvider('flaky', () => ({
+  name: 'flaky',
+  model: 'flaky-v1',
+  async complete() {
+    calls++;
+    if (calls > 1) throw new Error('provider unavailable');
+
+    return {
+      content: 'not json',
+      usage: { promptTokens: 1, completionTokens: 1, totalTokens: 2 },
+      model: 'flaky-v1',
+      provider: 'flaky'
+    };
+  }
+}));
+
+describe('structured output metrics', () => {
+  it('counts a failed re-ask for the tenant only', async () => {
+    const meter = { tenantId: 'tenant-a', check: async () => {}, record: async () => {} };
+
+    await expect(completeJson({
+      task: 'classify',
+      schema: z.object({ category: z.string() }),
+      settings: { ai: { provider: 'flaky' } },
+      meter,
+      messages: [{ role: 'user', content: 'hello' }]
+    })).rejects.toThrow('provider unavailable');
+
+    expect(getMetrics('tenant-a').providers).toEqual([
+      { provider: 'flaky', model: 'flaky-v1', requests: 1, valid: 0, repaired: 0, reasked: 1, failed: 1 }
+    ]);
+    expect(getMetrics('tenant-b').providers).toEqual([]);
+    expect(getMetrics().providers).toHaveLength(1);
+  });
+});